@@ -1,21 +1,14 @@
 import User from "../models/User.js";
 import crypto from "crypto";
-import nodemailer from "nodemailer";
-
-// Email transporter configuration
-const transporter = nodemailer.createTransport({
-  service: process.env.EMAIL_SERVICE,
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
+import { queueEmail, queueEmailSafely, siteUrl } from "../utils/mailer.js";
+import { saveProofDocument, removeProofDocument, notifyAdminsOfReview } from "../utils/companyVerification.js";
 
 export const showLogin = (req, res) => res.render("pages/login");
 export const showRegister = (req, res) => res.render("pages/register");
 
 export const registerUser = async (req, res) => {
   const { name, email, password, role } = req.body;
+  let proofDocument;
   try {
     // Basic validation
     if (!name || !email || !password || !role) {
@@ -31,19 +24,37 @@ export const registerUser = async (req, res) => {
     const userData = { name, email, password, role };
     // Role-specific fields
     if (role === 'student') {
-      userData.branch = req.body.branch || '';
       userData.year = req.body.year || '';
     }
     if (role === 'company') {
       userData.companyName = req.body.companyName || name;
       userData.industry = req.body.industry || '';
       userData.website = req.body.website || '';
+      // Companies wait for an admin to verify them before recruiting
+      userData.verification = { status: 'pending' };
     }
 
     const user = new User(userData);
+    if (role === 'company' && req.files?.verificationDocument) {
+      proofDocument = await saveProofDocument(user._id, req.files.verificationDocument);
+      user.verification.document = proofDocument;
+      user.verification.submittedAt = new Date();
+    }
     await user.save();
+    proofDocument = undefined;
+    await queueEmailSafely("welcome", user.email, { name: user.name, role: user.role });
+    if (role === 'company') {
+      await notifyAdminsOfReview(user);
+    }
     res.redirect("/auth/login");
   } catch (err) {
+    // The account was not created, so its proof has nothing to belong to
+    if (proofDocument) {
+      await removeProofDocument(proofDocument);
+    }
+    if (err.name === 'VerificationError') {
+      return res.render("pages/register", { error: err.message });
+    }
     console.error(err);
     res.render("pages/register", { error: "Registration failed" });
   }
@@ -106,32 +117,13 @@ export const sendResetEmail = async (req, res) => {
       return res.render("pages/forgot-password", { error: "Email not found" });
     }
 
-    // Generate reset token
-    const resetToken = crypto.randomBytes(32).toString("hex");
-    const resetTokenHash = crypto.createHash("sha256").update(resetToken).digest("hex");
-    const resetTokenExpiry = Date.now() + 3600000; // 1 hour
-
-    // Save token and expiry to database
-    user.resetToken = resetTokenHash;
-    user.resetTokenExpiry = resetTokenExpiry;
+    // Generate a reset token valid for 1 hour
+    const resetToken = user.issueResetToken();
     await user.save();
 
-    // Send reset email
-    const resetLink = `${process.env.SITE_URL}/auth/reset-password/${resetToken}`;
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: "Password Reset - Placement Management System",
-      html: `
-        <h2>Password Reset Request</h2>
-        <p>You requested a password reset. Click the link below to reset your password:</p>
-        <a href="${resetLink}" style="padding:10px 20px;background:#4361ee;color:white;text-decoration:none;border-radius:5px;">Reset Password</a>
-        <p>This link will expire in 1 hour.</p>
-        <p>If you did not request this, please ignore this email.</p>
-      `
-    };
-
-    await transporter.sendMail(mailOptions);
+    // Queue reset email; the outbox retries it if delivery fails
+    const resetLink = `${siteUrl()}/auth/reset-password/${resetToken}`;
+    await queueEmail("reset", email, { name: user.name, resetLink });
     res.render("pages/forgot-password", { success: "Reset link sent to your email. Check your inbox." });
   } catch (err) {
     console.error("Forgot Password Error:", err);
@@ -1,6 +1,7 @@
 import Job from "../models/Job.js";
 import Application from "../models/Application.js";
 import User from "../models/User.js";
+import Notification from "../models/Notification.js";
 
 // Helper to ensure company-only actions
 const requireCompany = (req) => req.session?.user && req.session.user.role === 'company';
@@ -84,7 +85,7 @@ export const updateApplicationStatus = async (req, res) => {
   try {
     const appId = req.params.id;
     const { status } = req.body;
-    const application = await Application.findById(appId);
+    const application = await Application.findById(appId).populate('jobId', 'title');
     if (!application) return res.status(404).json({ success: false, message: 'Application not found' });
 
     // Only the company that owns the application may update
@@ -92,10 +93,19 @@ export const updateApplicationStatus = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
 
-    application.status = status;
+    if (!application.canTransitionTo(status)) {
+      return res.status(400).json({ success: false, message: `Cannot change status from ${application.status} to ${status}` });
+    }
+
+    application.changeStatus(status, { actor: req.session.user._id, role: 'company', note: req.body.note });
     await application.save();
 
-    // Optionally: notify student (could be implemented later)
+    await Notification.send(application.studentId, {
+      type: 'status_changed',
+      title: `Application ${status}`,
+      message: `Your application for ${application.jobId?.title || 'a job'} is now ${status}.`,
+      link: `/student/applications/${application._id}`
+    });
 
     res.json({ success: true });
   } catch (err) {
@@ -107,7 +117,7 @@ export const updateApplicationStatus = async (req, res) => {
 // Student-facing controllers
 export const studentDashboard = async (req, res) => {
   try {
-    const jobs = await Job.find({ status: 'active' }).sort({ createdAt: -1 }).limit(50);
+    const jobs = await Job.find({ status: 'published' }).sort({ createdAt: -1 }).limit(50);
     const applications = await Application.find({ studentId: req.session.user._id })
       .populate('jobId', 'title companyName')
       .sort({ appliedDate: -1 });
@@ -130,7 +140,7 @@ export const studentApply = async (req, res) => {
   try {
     const jobId = req.params.jobId;
     const job = await Job.findById(jobId);
-    if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
+    if (!job || job.status !== 'published') return res.status(404).json({ success: false, message: 'Job not found' });
 
     // Prevent duplicate applications
     const existing = await Application.findOne({ jobId, studentId: req.session.user._id });
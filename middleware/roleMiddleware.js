@@ -1,3 +1,6 @@
+import User from '../models/User.js';
+import { isVerifiedCompany as verified } from '../utils/companyVerification.js';
+
 export const isAdmin = (req, res, next) => {
     if (req.session?.user?.role === 'admin') {
         next();
@@ -18,6 +21,27 @@ export const isCompany = (req, res, next) => {
     }
 };
 
+// Companies post jobs and see applicants only once an admin has verified
+// them. The account is read again so a decision applies straight away.
+export const isVerifiedCompany = async (req, res, next) => {
+    try {
+        const company = await User.findById(req.session.user._id, 'verification');
+        req.session.user.verification = company?.toObject().verification;
+        if (verified(company)) {
+            return next();
+        }
+
+        // Pages and form posts go to the verification page; fetch calls get JSON
+        if (req.method === 'GET' || req.is('urlencoded', 'multipart')) {
+            return res.redirect('/company/verification');
+        }
+        res.status(403).json({ error: 'Your company must be verified by the placement cell first' });
+    } catch (err) {
+        console.error('Verification Check Error:', err);
+        res.status(500).render('pages/error', { error: 'Failed to check company verification' });
+    }
+};
+
 export const isStudent = (req, res, next) => {
     if (req.session?.user?.role === 'student') {
         next();
@@ -1,5 +1,109 @@
 import mongoose from 'mongoose';
 
+export const APPLICATION_STATUSES = ['pending', 'shortlisted', 'rejected', 'hired'];
+
+// Allowed status changes; rejected and hired are final
+export const STATUS_TRANSITIONS = {
+  pending: ['shortlisted', 'rejected'],
+  shortlisted: ['hired', 'rejected'],
+  rejected: [],
+  hired: []
+};
+
+// Longest an interview round or slot may run; clash detection looks back
+// this far for rounds that started earlier
+export const MAX_INTERVIEW_MINUTES = 8 * 60;
+
+export const ROUND_TYPES = ['aptitude', 'technical', 'managerial', 'hr', 'group-discussion', 'other'];
+export const ROUND_OUTCOMES = ['pending', 'cleared', 'failed', 'no-show'];
+
+const interviewRoundSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ROUND_TYPES,
+    default: 'technical'
+  },
+  scheduledAt: Date,
+  durationMinutes: {
+    type: Number,
+    default: 60,
+    max: MAX_INTERVIEW_MINUTES
+  },
+  mode: {
+    type: String,
+    enum: ['Online', 'Offline']
+  },
+  location: String,
+  link: String,
+  panel: [String],
+  outcome: {
+    type: String,
+    enum: ROUND_OUTCOMES,
+    default: 'pending'
+  },
+  feedback: String,
+  cancelledAt: Date,
+  // Why the company kept this schedule despite a detected interview clash
+  clashOverride: {
+    reason: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date
+  },
+  // Set when the student booked this round through a company's interview slot
+  slotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InterviewSlot'
+  },
+  // iCalendar SEQUENCE, bumped whenever the schedule changes so calendar
+  // clients treat the new details as an update
+  sequence: {
+    type: Number,
+    default: 0
+  }
+});
+
+const SCHEDULE_FIELDS = ['scheduledAt', 'durationMinutes', 'mode', 'location', 'link', 'cancelledAt'];
+
+interviewRoundSchema.pre('save', function (next) {
+  if (!this.isNew && SCHEDULE_FIELDS.some(field => this.isModified(field))) {
+    this.sequence += 1;
+  }
+  next();
+});
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...APPLICATION_STATUSES, null]
+  },
+  to: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['student', 'company', 'admin', 'system'],
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  note: String
+}, { _id: false });
+
 const applicationSchema = new mongoose.Schema({
   studentId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -18,9 +122,10 @@ const applicationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'shortlisted', 'rejected', 'hired'],
+    enum: APPLICATION_STATUSES,
     default: 'pending'
   },
+  statusHistory: [statusChangeSchema],
   appliedDate: {
     type: Date,
     default: Date.now
@@ -29,7 +134,22 @@ const applicationSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Library resume and version the student applied with
+  resumeVersion: {
+    resumeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Resume' },
+    versionId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    number: Number
+  },
+  // Text of the attached resume for keyword search; large, so not loaded by default
+  resumeText: {
+    type: String,
+    select: false
+  },
   coverLetter: String,
+  // Ordered interview rounds (aptitude, technical, HR, ...)
+  rounds: [interviewRoundSchema],
+  // Mirror of the next scheduled round, kept for existing queries and views
   interviewDate: Date,
   interviewMode: {
     type: String,
@@ -40,4 +160,131 @@ const applicationSchema = new mongoose.Schema({
   feedback: String
 });
 
+applicationSchema.index({ resumeText: 'text' });
+
+// Record the submission as the first history entry
+applicationSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      actor: this.studentId,
+      role: 'student',
+      at: this.appliedDate,
+      note: 'Application submitted'
+    });
+  }
+  next();
+});
+
+// Older applications only have the single interview fields; turn those
+// into a first round, then mirror the next scheduled round back into them
+applicationSchema.pre('save', function (next) {
+  if (this.rounds.length === 0 && this.interviewDate) {
+    this.rounds.push(this.convertedLegacyRound());
+  }
+  if (this.isModified('rounds')) {
+    const upcoming = this.rounds.find(round => round.outcome === 'pending' && round.scheduledAt && !round.cancelledAt);
+    this.interviewDate = upcoming ? upcoming.scheduledAt : undefined;
+    this.interviewMode = upcoming ? upcoming.mode : undefined;
+    this.interviewLocation = upcoming ? upcoming.location : undefined;
+    this.interviewLink = upcoming ? upcoming.link : undefined;
+  }
+  next();
+});
+
+applicationSchema.methods.legacyRound = function () {
+  return {
+    name: 'Interview',
+    type: 'other',
+    scheduledAt: this.interviewDate,
+    mode: this.interviewMode,
+    location: this.interviewLocation,
+    link: this.interviewLink,
+    outcome: 'pending'
+  };
+};
+
+// The legacy interview as a stored round. It keeps the application's id,
+// which calendar feeds used as the event UID before the conversion, so
+// subscribed calendars update the event instead of showing it twice.
+applicationSchema.methods.convertedLegacyRound = function () {
+  return { ...this.legacyRound(), _id: this._id };
+};
+
+// Rounds for display, including the legacy single interview if not yet converted
+applicationSchema.methods.interviewRounds = function () {
+  if (this.rounds.length > 0) return this.rounds;
+  return this.interviewDate ? [this.legacyRound()] : [];
+};
+
+// Copy a job's default round template onto an application without rounds
+applicationSchema.methods.applyRoundTemplate = function (template = []) {
+  if (this.rounds.length > 0 || this.interviewDate) return this;
+  template.forEach(round => {
+    this.rounds.push({
+      name: round.name,
+      type: round.type,
+      durationMinutes: round.durationMinutes,
+      mode: round.mode
+    });
+  });
+  return this;
+};
+
+// The round to schedule next: a specific round by id, otherwise the first
+// pending round. A new round is appended when every round is finished.
+applicationSchema.methods.roundToSchedule = function (roundId) {
+  if (this.rounds.length === 0 && this.interviewDate) {
+    this.rounds.push(this.convertedLegacyRound());
+  }
+  if (roundId) return this.rounds.id(roundId);
+
+  let round = this.rounds.find(r => r.outcome === 'pending');
+  if (!round) {
+    this.rounds.push({ name: `Round ${this.rounds.length + 1}`, type: 'other' });
+    round = this.rounds[this.rounds.length - 1];
+  }
+  return round;
+};
+
+// The round a student may book an interview slot for: the first pending
+// round, unless the company has already scheduled it directly
+applicationSchema.methods.bookableRound = function () {
+  if (this.rounds.length === 0 && !this.interviewDate) return this.roundToSchedule();
+
+  const round = this.rounds.find(r => r.outcome === 'pending');
+  if (!round || (round.scheduledAt && !round.slotId && !round.cancelledAt)) return null;
+  return round;
+};
+
+applicationSchema.methods.allowedTransitions = function () {
+  return STATUS_TRANSITIONS[this.status] || [];
+};
+
+applicationSchema.methods.canTransitionTo = function (status) {
+  return this.allowedTransitions().includes(status);
+};
+
+// Move to a new status and append it to statusHistory.
+// Throws when the transition is not allowed; the caller saves the document.
+applicationSchema.methods.changeStatus = function (status, { actor, role, note } = {}) {
+  if (!this.canTransitionTo(status)) {
+    const err = new Error(`Cannot change status from "${this.status}" to "${status}"`);
+    err.name = 'InvalidTransitionError';
+    throw err;
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    actor,
+    role: role || 'system',
+    at: new Date(),
+    note
+  });
+  this.status = status;
+  return this;
+};
+
 export default mongoose.model('Application', applicationSchema);
\ No newline at end of file
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+export const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+// One entry per delivery attempt
+const deliveryAttemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'error'],
+    required: true
+  },
+  transport: String,
+  messageId: String,
+  error: String
+}, { _id: false });
+
+// Outbox entry: queued by the mailer, delivered by processOutbox()
+const emailMessageSchema = new mongoose.Schema({
+  template: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  // Cleared once the message is sent
+  html: String,
+  text: String,
+  status: {
+    type: String,
+    enum: EMAIL_STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is sending, so a crashed send can be picked up again
+  lockedAt: Date,
+  sentAt: Date,
+  lastError: String,
+  log: [deliveryAttemptSchema]
+}, {
+  timestamps: true
+});
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+export default mongoose.model('EmailMessage', emailMessageSchema);
@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+import { MAX_INTERVIEW_MINUTES } from './Application.js';
+
+const bookingSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bookedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// An interview slot published by a company that shortlisted students can
+// book themselves, up to its capacity
+const interviewSlotSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Round this slot is for; empty means whichever round is next
+  roundName: {
+    type: String,
+    default: ''
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  durationMinutes: {
+    type: Number,
+    default: 30,
+    min: 5,
+    max: MAX_INTERVIEW_MINUTES
+  },
+  capacity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  mode: {
+    type: String,
+    enum: ['Online', 'Offline'],
+    default: 'Online'
+  },
+  location: String,
+  link: String,
+  // Students can book, switch away from or into this slot until this many
+  // hours before it starts
+  cutoffHours: {
+    type: Number,
+    default: 24,
+    min: 0
+  },
+  bookings: [bookingSchema]
+}, {
+  timestamps: true
+});
+
+interviewSlotSchema.index({ jobId: 1, startsAt: 1 });
+interviewSlotSchema.index({ companyId: 1, startsAt: 1 });
+
+interviewSlotSchema.methods.bookingClosesAt = function () {
+  return new Date(this.startsAt.getTime() - this.cutoffHours * 60 * 60 * 1000);
+};
+
+interviewSlotSchema.methods.isBookingOpen = function (now = new Date()) {
+  return now < this.bookingClosesAt();
+};
+
+interviewSlotSchema.methods.seatsLeft = function () {
+  return Math.max(this.capacity - this.bookings.length, 0);
+};
+
+// Whether a slot is meant for the given interview round
+interviewSlotSchema.methods.matchesRound = function (round) {
+  return !this.roundName || this.roundName === round.name;
+};
+
+const bookingError = (message) => {
+  const error = new Error(message);
+  error.name = 'SlotBookingError';
+  return error;
+};
+
+// Book a seat for an application. The capacity check and the push happen in
+// one update, so two students can never take the last seat at the same time.
+// Throws a SlotBookingError when the slot is closed or full.
+interviewSlotSchema.statics.book = async function (slotId, { applicationId, studentId }, now = new Date()) {
+  const slot = await this.findById(slotId);
+  if (!slot) {
+    throw bookingError('Interview slot not found');
+  }
+  if (!slot.isBookingOpen(now)) {
+    throw bookingError('Booking for this slot has closed');
+  }
+
+  const booked = await this.findOneAndUpdate(
+    {
+      _id: slotId,
+      'bookings.applicationId': { $ne: applicationId },
+      $expr: { $lt: [{ $size: '$bookings' }, '$capacity'] }
+    },
+    { $push: { bookings: { applicationId, studentId, bookedAt: now } } },
+    { new: true }
+  );
+  if (!booked) {
+    const current = await this.findById(slotId);
+    const alreadyBooked = current?.bookings.some(b => b.applicationId.toString() === applicationId.toString());
+    throw bookingError(alreadyBooked ? 'You have already booked this slot' : 'This slot is full');
+  }
+  return booked;
+};
+
+// Give a seat back, e.g. when the student switches to another slot
+interviewSlotSchema.statics.release = function (slotId, applicationId) {
+  return this.updateOne(
+    { _id: slotId },
+    { $pull: { bookings: { applicationId } } }
+  );
+};
+
+export default mongoose.model('InterviewSlot', interviewSlotSchema);
@@ -1,4 +1,67 @@
 import mongoose from 'mongoose';
+import { annualize, formatCompensation } from '../utils/salary.js';
+import { ROUND_TYPES } from './Application.js';
+
+// Saved applicant filters a job can have
+export const MAX_SCREENING_PRESETS = 20;
+
+// Postings are checked by the placement cell before students see them:
+// draft -> pending (review) -> published -> closed, or rejected. Approved
+// jobs with a future publishAt wait as scheduled until that time.
+export const JOB_STATUSES = ['draft', 'pending', 'changes_requested', 'scheduled', 'published', 'rejected', 'closed'];
+
+export const JOB_STATUS_LABELS = {
+  draft: 'Draft',
+  pending: 'Pending review',
+  changes_requested: 'Changes requested',
+  scheduled: 'Scheduled',
+  published: 'Published',
+  rejected: 'Rejected',
+  closed: 'Closed'
+};
+
+// Allowed status changes; rejected is final. A published or scheduled job
+// goes back to pending when salary or eligibility are edited, and a closed
+// job is reopened through review.
+export const JOB_STATUS_TRANSITIONS = {
+  draft: ['pending'],
+  pending: ['scheduled', 'published', 'changes_requested', 'rejected'],
+  changes_requested: ['pending'],
+  scheduled: ['published', 'pending', 'closed'],
+  published: ['pending', 'closed'],
+  rejected: [],
+  closed: ['pending']
+};
+
+// Fields whose edits send a published or scheduled job back to review
+const REVIEWED_FIELDS = ['compensation', 'eligibility', 'eligibilityCriteria'];
+
+const jobStatusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['company', 'admin', 'system']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  // Reviewer comments, or why the job went back to review
+  comment: String
+}, { _id: false });
+
+const rangeSchema = {
+  min: Number,
+  max: Number
+};
 
 const jobSchema = new mongoose.Schema({
   companyId: {
@@ -10,6 +73,11 @@ const jobSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Copied from the company's verification so listings can show a badge
+  companyVerified: {
+    type: Boolean,
+    default: false
+  },
   title: {
     type: String,
     required: true
@@ -27,30 +95,254 @@ const jobSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Display string, derived from compensation when amounts are given
   salary: {
     type: String,
     required: true
   },
+  compensation: {
+    currency: {
+      type: String,
+      default: 'INR'
+    },
+    period: {
+      type: String,
+      enum: ['annual', 'monthly'],
+      default: 'annual'
+    },
+    fixed: rangeSchema,
+    variable: rangeSchema,
+    total: rangeSchema,
+    // Internships: monthly stipend and duration
+    stipend: Number,
+    durationMonths: Number,
+    // Yearly equivalent of total (or stipend), kept for sorting and filtering
+    annualized: rangeSchema
+  },
   eligibility: {
     type: String,
     required: true
   },
+  // Structured criteria enforced when a student applies
+  eligibilityCriteria: {
+    minCGPA: Number,
+    branches: [String],
+    graduationYears: [Number],
+    maxBacklogs: Number,
+    genders: [{
+      type: String,
+      enum: ['male', 'female', 'other']
+    }],
+    diversityDrive: {
+      type: Boolean,
+      default: false
+    }
+  },
   skillsRequired: [{
     type: String
   }],
+  // Default interview rounds copied onto each shortlisted application
+  roundTemplate: [{
+    name: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ROUND_TYPES,
+      default: 'technical'
+    },
+    durationMinutes: {
+      type: Number,
+      default: 60
+    },
+    mode: {
+      type: String,
+      enum: ['Online', 'Offline']
+    }
+  }],
+  // Applicant list filters the recruiter saved, as a query string
+  screeningPresets: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 40
+    },
+    query: {
+      type: String,
+      default: ''
+    }
+  }],
   deadline: {
     type: Date,
     required: true
   },
+  // When an approved job becomes visible to students; see utils/jobPublishing.js
+  publishAt: {
+    type: Date,
+    validate: {
+      validator: function (value) {
+        return !value || !this.deadline || value < this.deadline;
+      },
+      message: 'Publish time must be before the application deadline'
+    }
+  },
+  // Deadline students were last reminded of (see utils/jobDeadlines.js);
+  // moving the deadline allows another reminder
+  remindedDeadline: Date,
+  // Placement tier set by admins; empty means the company's tier applies
+  tier: {
+    type: String,
+    default: ''
+  },
   status: {
     type: String,
-    enum: ['active', 'closed'],
-    default: 'active'
+    enum: JOB_STATUSES,
+    default: 'draft'
   },
+  statusHistory: [jobStatusChangeSchema],
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Indexes backing the student job board filters and sorts
+jobSchema.index({ status: 1, deadline: 1, createdAt: -1 });
+jobSchema.index({ status: 1, 'compensation.annualized.max': -1 });
+
+// Keep the derived compensation fields and display string in sync
+jobSchema.pre('validate', function (next) {
+  const compensation = this.compensation;
+  if (compensation) {
+    compensation.annualized = annualize(compensation);
+
+    const display = formatCompensation(compensation);
+    if (display) this.salary = display;
+  }
+  if (!this.salary) this.salary = 'Not Disclosed';
+  next();
+});
+
+jobSchema.methods.allowedTransitions = function () {
+  return JOB_STATUS_TRANSITIONS[this.status] || [];
+};
+
+jobSchema.methods.canTransitionTo = function (status) {
+  return this.allowedTransitions().includes(status);
+};
+
+// Move to a new status and append it to statusHistory.
+// Throws when the transition is not allowed; the caller saves the document.
+jobSchema.methods.changeStatus = function (status, { actor, role, comment } = {}) {
+  if (!this.canTransitionTo(status)) {
+    const err = new Error(`Cannot change job status from "${this.status}" to "${status}"`);
+    err.name = 'InvalidTransitionError';
+    throw err;
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    actor,
+    role: role || 'system',
+    at: new Date(),
+    comment
+  });
+  this.status = status;
+  return this;
+};
+
+// The placement cell's latest decision on this job, if any
+jobSchema.methods.latestReview = function () {
+  return this.statusHistory.filter(change => change.role === 'admin').at(-1) || null;
+};
+
+// Status an approved job moves to: scheduled while its publish time is ahead
+jobSchema.methods.approvedStatus = function (now = new Date()) {
+  return this.publishAt && this.publishAt > now ? 'scheduled' : 'published';
+};
+
+// Salary and eligibility as compared before and after an edit. Call after
+// validate() so the derived compensation fields are up to date.
+jobSchema.methods.reviewedFields = function () {
+  const job = this.toObject();
+  return JSON.stringify(REVIEWED_FIELDS.map(field => job[field]));
+};
+
+// Genders a diversity drive is open to
+const DIVERSITY_GENDERS = ['female', 'other'];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Genders a job is open to; empty means everyone
+const eligibleGenders = (criteria) => (criteria.diversityDrive && !(criteria.genders && criteria.genders.length > 0)
+  ? DIVERSITY_GENDERS
+  : (criteria.genders || []));
+
+// Check a student's User record against the job's criteria.
+// Returns { eligible, reasons } with one reason per failed rule.
+jobSchema.methods.checkEligibility = function (student) {
+  const criteria = this.eligibilityCriteria || {};
+  const reasons = [];
+
+  if (criteria.minCGPA != null) {
+    if (student.cgpa == null) {
+      reasons.push(`Minimum CGPA is ${criteria.minCGPA}, but your CGPA has not been recorded yet, please contact the placement cell`);
+    } else if (student.cgpa < criteria.minCGPA) {
+      reasons.push(`Minimum CGPA is ${criteria.minCGPA}, your CGPA is ${student.cgpa}`);
+    }
+  }
+
+  if (criteria.branches && criteria.branches.length > 0) {
+    const allowed = criteria.branches.map(normalize);
+    if (!allowed.includes(normalize(student.branch))) {
+      reasons.push(student.branch
+        ? `Open to ${criteria.branches.join(', ')} only, your branch is ${student.branch}`
+        : `Open to ${criteria.branches.join(', ')} only, but your branch has not been recorded yet, please contact the placement cell`);
+    }
+  }
+
+  if (criteria.graduationYears && criteria.graduationYears.length > 0) {
+    if (!student.graduationYear) {
+      reasons.push(`Open to the ${criteria.graduationYears.join(', ')} batch, but your graduation year has not been recorded yet, please contact the placement cell`);
+    } else if (!criteria.graduationYears.includes(Number(student.graduationYear))) {
+      reasons.push(`Open to the ${criteria.graduationYears.join(', ')} batch, you graduate in ${student.graduationYear}`);
+    }
+  }
+
+  if (criteria.maxBacklogs != null && (student.activeBacklogs || 0) > criteria.maxBacklogs) {
+    reasons.push(`At most ${criteria.maxBacklogs} active backlog(s) allowed, you have ${student.activeBacklogs}`);
+  }
+
+  const genders = eligibleGenders(criteria);
+  if (genders.length > 0 && !genders.includes(normalize(student.gender))) {
+    reasons.push(criteria.diversityDrive
+      ? 'This is a diversity hiring drive and is not open to your profile'
+      : `Open to ${genders.join(', ')} candidates only`);
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+};
+
+// User query narrowing students down to those who can pass checkEligibility,
+// so callers need not load everyone. Branches are compared loosely and are
+// left to checkEligibility.
+jobSchema.methods.eligibilityFilter = function () {
+  const criteria = this.eligibilityCriteria || {};
+  const filter = {};
+
+  if (criteria.minCGPA != null) filter.cgpa = { $gte: criteria.minCGPA };
+  if (criteria.graduationYears && criteria.graduationYears.length > 0) {
+    filter.graduationYear = { $in: criteria.graduationYears };
+  }
+  if (criteria.maxBacklogs != null) filter.activeBacklogs = { $not: { $gt: criteria.maxBacklogs } };
+
+  const genders = eligibleGenders(criteria);
+  if (genders.length > 0) filter.gender = { $in: genders };
+
+  return filter;
+};
+
 export default mongoose.model('Job', jobSchema);
\ No newline at end of file
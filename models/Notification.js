@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import User from './User.js';
+
+// Event types a user can receive, with the label shown in their preferences
+export const NOTIFICATION_TYPES = {
+  application_submitted: 'New applications on my jobs',
+  status_changed: 'Application status changes',
+  interview_scheduled: 'Interview schedules',
+  offer_made: 'Job offers',
+  job_updated: 'Changes to jobs I applied to',
+  job_deleted: 'Jobs I applied to being removed',
+  company_message: 'Messages from recruiters',
+  company_verification: 'Company account verification',
+  job_review: 'Job posting reviews',
+  deadline_reminder: 'Reminders before application deadlines',
+  job_closed: 'Applicant summaries when my jobs close'
+};
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(NOTIFICATION_TYPES),
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+  // Page the notification points at, e.g. /student/applications/:id
+  link: String,
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, read: 1, createdAt: -1 });
+
+// Create a notification for each recipient that has not muted this type.
+// Never throws: a failed notification must not fail the action behind it.
+notificationSchema.statics.send = async function (recipients, { type, title, message, link }) {
+  try {
+    const ids = [].concat(recipients || []).filter(Boolean);
+    if (ids.length === 0) return [];
+
+    const users = await User.find({
+      _id: { $in: ids },
+      mutedNotifications: { $ne: type }
+    }, '_id');
+
+    return await this.insertMany(users.map(user => ({
+      userId: user._id,
+      type,
+      title,
+      message,
+      link
+    })));
+  } catch (err) {
+    console.error('Notification Error:', err);
+    return [];
+  }
+};
+
+notificationSchema.statics.unreadCount = function (userId) {
+  return this.countDocuments({ userId, read: false });
+};
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+export const OFFER_STATUSES = ['pending', 'accepted', 'declined', 'expired'];
+
+const offerSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    unique: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  role: {
+    type: String,
+    required: true
+  },
+  ctc: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  location: {
+    type: String,
+    required: true
+  },
+  joiningDate: {
+    type: Date,
+    required: true
+  },
+  responseDeadline: {
+    type: Date,
+    required: true
+  },
+  // Path of the offer letter PDF, uploaded by the company or generated
+  letter: String,
+  letterGenerated: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: OFFER_STATUSES,
+    default: 'pending'
+  },
+  respondedAt: Date,
+  declineReason: String
+}, {
+  timestamps: true
+});
+
+offerSchema.index({ status: 1, responseDeadline: 1 });
+
+offerSchema.methods.isOverdue = function (now = new Date()) {
+  return this.status === 'pending' && this.responseDeadline < now;
+};
+
+// Status as the student should see it, even before the expiry job has run
+offerSchema.methods.currentStatus = function (now = new Date()) {
+  return this.isOverdue(now) ? 'expired' : this.status;
+};
+
+// Record the student's answer; throws if the offer can no longer be answered
+offerSchema.methods.respond = function (accept, reason) {
+  if (this.isOverdue()) {
+    this.status = 'expired';
+  }
+  if (this.status !== 'pending') {
+    const error = new Error(`This offer has already been ${this.status}`);
+    error.name = 'OfferClosedError';
+    throw error;
+  }
+
+  this.status = accept ? 'accepted' : 'declined';
+  this.respondedAt = new Date();
+  if (!accept && reason) {
+    this.declineReason = reason;
+  }
+  return this;
+};
+
+// Mark every pending offer past its response deadline as expired
+offerSchema.statics.expireOverdue = function (now = new Date()) {
+  return this.updateMany(
+    { status: 'pending', responseDeadline: { $lt: now } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+export default mongoose.model('Offer', offerSchema);
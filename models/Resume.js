@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+// One uploaded file. Versions are never modified, so an application keeps
+// pointing at exactly what the student applied with.
+const resumeVersionSchema = new mongoose.Schema({
+  file: {
+    type: String,
+    required: true
+  },
+  // Counts up per resume and is not reused when old versions are dropped
+  number: {
+    type: Number,
+    required: true
+  },
+  originalName: String,
+  size: Number,
+  // Text extracted from the PDF, empty for scanned resumes
+  text: {
+    type: String,
+    default: ''
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A named resume in a student's library (e.g. "SDE", "Data") with its
+// upload history, newest version last
+const resumeSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  // Resume builder template for generated resumes; empty for uploads
+  template: {
+    type: String,
+    default: ''
+  },
+  // Fingerprint of the profile data the latest generated version shows
+  sourceHash: String,
+  // Attached when applying without choosing, and mirrored to User.resume
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  versions: [resumeVersionSchema]
+}, {
+  timestamps: true
+});
+
+resumeSchema.index({ studentId: 1, name: 1 }, { unique: true });
+
+export const MAX_RESUMES = 10;
+export const MAX_VERSIONS = 10;
+
+resumeSchema.methods.latestVersion = function () {
+  return this.versions[this.versions.length - 1] || null;
+};
+
+// A student's resumes, default first. Students who uploaded a resume before
+// the library existed get it as their first, default entry.
+resumeSchema.statics.forStudent = async function (student) {
+  let resumes = await this.find({ studentId: student._id }).sort({ isDefault: -1, updatedAt: -1 });
+  if (resumes.length === 0 && student.resume) {
+    try {
+      await this.create({
+        studentId: student._id,
+        name: 'My Resume',
+        isDefault: true,
+        versions: [{ file: student.resume, number: 1, uploadedAt: student.createdAt }]
+      });
+    } catch (err) {
+      // Created meanwhile by a parallel request
+      if (err.code !== 11000) throw err;
+    }
+    resumes = await this.find({ studentId: student._id }).sort({ isDefault: -1, updatedAt: -1 });
+  }
+  return resumes;
+};
+
+const Resume = mongoose.model('Resume', resumeSchema);
+
+export default Resume;
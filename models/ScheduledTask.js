@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// One entry per background task (see utils/scheduler.js). The next run time
+// is kept here so restarts do not reset it, and a run is claimed by setting
+// lockedAt so only one app instance runs a task at a time.
+const scheduledTaskSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while an instance runs the task, so a crashed run can be picked up again
+  lockedAt: Date,
+  lastRunAt: Date,
+  lastDuration: Number,
+  lastError: String,
+  runs: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ScheduledTask', scheduledTaskSchema);
@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
 
 const userSchema = new mongoose.Schema({
   name: String,
@@ -11,22 +12,50 @@ const userSchema = new mongoose.Schema({
   year: String,
   rollNumber: String,
   cgpa: Number,
+  graduationYear: Number,
+  activeBacklogs: { type: Number, default: 0 },
+  gender: { type: String, enum: ["male", "female", "other", ""] },
   skills: [String],
   resume: String,
+  // Profile links, e.g. accepted from resume suggestions
+  links: {
+    linkedin: String,
+    github: String,
+    portfolio: String
+  },
+  // Resume builder sections, rendered by utils/resumeBuilder.js
+  education: [{ qualification: String, institution: String, year: String, score: String }],
+  projects: [{ title: String, technologies: String, link: String, description: String }],
+  certifications: [{ name: String, issuer: String, year: String, link: String }],
   // Company specific fields
   companyName: String,
   industry: String,
   website: String,
   description: String,
   location: String,
+  // Placement tier assigned by admins, e.g. "Dream" or "Tier-1"
+  tier: String,
+  // Admin review of a company account; see utils/companyVerification.js
+  verification: {
+    status: { type: String, enum: ["pending", "approved", "rejected"] },
+    document: String,
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reason: String
+  },
   // Common fields
   phone: String,
   status: { type: String, default: 'active' },
   profilePicture: { type: String, default: '' },
+  // Notification types the user opted out of
+  mutedNotifications: [String],
   createdAt: { type: Date, default: Date.now },
   // Password reset fields
   resetToken: String,
-  resetTokenExpiry: Date
+  resetTokenExpiry: Date,
+  // Secret token in the user's calendar feed URL
+  calendarToken: { type: String, unique: true, sparse: true }
 });
 
 userSchema.pre("save", async function (next) {
@@ -36,7 +65,29 @@ userSchema.pre("save", async function (next) {
 });
 
 userSchema.methods.comparePassword = function (password) {
+  // Imported accounts have no password until the set-password link is used
+  if (!this.password) return Promise.resolve(false);
   return bcrypt.compare(password, this.password);
 };
 
+// Store a new password reset token and return the raw token for the
+// emailed link. The caller saves the document.
+userSchema.methods.issueResetToken = function (ttl = 60 * 60 * 1000) {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.resetToken = crypto.createHash("sha256").update(token).digest("hex");
+  this.resetTokenExpiry = Date.now() + ttl;
+  return token;
+};
+
+// Issue a new calendar feed token, invalidating any previous feed URL
+userSchema.methods.resetCalendarToken = function () {
+  this.calendarToken = crypto.randomBytes(24).toString("hex");
+  return this.save();
+};
+
+userSchema.methods.ensureCalendarToken = async function () {
+  if (!this.calendarToken) await this.resetCalendarToken();
+  return this.calendarToken;
+};
+
 export default mongoose.model("User", userSchema);
@@ -1,9 +1,22 @@
 import express from 'express';
 import { isAdmin } from '../middleware/roleMiddleware.js';
 import User from '../models/User.js';
-import Job from '../models/Job.js';
-import Application from '../models/Application.js';
+import Job, { JOB_STATUSES, JOB_STATUS_LABELS, JOB_STATUS_TRANSITIONS } from '../models/Job.js';
+import Application, { APPLICATION_STATUSES } from '../models/Application.js';
+import Offer from '../models/Offer.js';
+import Notification from '../models/Notification.js';
+import EmailMessage, { EMAIL_STATUSES } from '../models/EmailMessage.js';
+import { retryEmail, queueEmailSafely, siteUrl } from '../utils/mailer.js';
 import Setting from '../models/Setting.js';
+import { parseSalary, formatMoney } from '../utils/salary.js';
+import { POLICY_TYPES, loadPlacementPolicy, parsePolicies, parseTiers } from '../utils/placementPolicy.js';
+import { findAllClashes } from '../utils/interviewClashes.js';
+import { parseListFilters, buildUserFilter, buildApplicationFilter } from '../utils/listFilters.js';
+import { APPLICATION_COLUMNS, STUDENT_COLUMNS, COMPANY_COLUMNS, EXPORT_FORMATS, selectColumns, sendExport } from '../utils/exporter.js';
+import { parseRoster, planImport, applyImport, SET_PASSWORD_TTL } from '../utils/rosterImport.js';
+import { parseSkillDictionary, formatSkillDictionary } from '../utils/skills.js';
+import { VERIFICATION_STATUSES, emailDomainCheck } from '../utils/companyVerification.js';
+import { deleteJobs } from '../utils/jobRemoval.js';
 
 const router = express.Router();
 
@@ -33,16 +46,35 @@ router.get('/dashboard', async (req, res) => {
             totalStudents: await User.countDocuments({ role: 'student' }),
             totalCompanies: await User.countDocuments({ role: 'company' }),
             totalAdmins: await User.countDocuments({ role: 'admin' }),
-            activeJobs: await Job.countDocuments({ status: 'active' }),
+            activeJobs: await Job.countDocuments({ status: 'published' }),
             totalPlacements: await Application.countDocuments({ status: 'hired' })
         };
 
+        // Pay statistics from the numeric compensation fields (INR postings only)
+        const payByType = await Job.aggregate([
+            { $match: { 'compensation.currency': 'INR', 'compensation.annualized.max': { $ne: null } } },
+            {
+                $group: {
+                    _id: { $eq: ['$type', 'Internship'] },
+                    averageCTC: { $avg: '$compensation.annualized.max' },
+                    highestCTC: { $max: '$compensation.annualized.max' },
+                    averageStipend: { $avg: '$compensation.stipend' }
+                }
+            }
+        ]);
+        const fullTimePay = payByType.find(group => group._id === false) || {};
+        const internshipPay = payByType.find(group => group._id === true) || {};
+        stats.averageCTC = formatMoney(fullTimePay.averageCTC);
+        stats.highestCTC = formatMoney(fullTimePay.highestCTC);
+        stats.averageStipend = formatMoney(internshipPay.averageStipend);
+
         res.render('pages/admin/dashboard', { 
             user: req.session.user,
             students,
             companies,
             admins,
             jobs: jobsWithCounts,
+            jobStatusLabels: JOB_STATUS_LABELS,
             stats,
             isImpersonating: !!req.session.adminOriginal
         });
@@ -81,11 +113,25 @@ router.post('/users/add', async (req, res) => {
             name,
             email,
             role,
-            password,
-            status: 'active'
+            password: password || undefined,
+            status: 'active',
+            // Companies an admin adds are verified by them
+            verification: role === 'company'
+                ? { status: 'approved', reviewedAt: new Date(), reviewedBy: req.session.user._id }
+                : undefined
         });
 
+        // Without a password the user chooses one through an emailed link
+        const setPasswordToken = password ? null : newUser.issueResetToken(SET_PASSWORD_TTL);
+
         await newUser.save();
+
+        if (setPasswordToken) {
+            await queueEmailSafely('set-password', newUser.email, {
+                name: newUser.name,
+                setPasswordLink: `${siteUrl()}/auth/reset-password/${setPasswordToken}`
+            });
+        }
         res.redirect('/admin/dashboard?success=User+created+successfully');
     } catch (err) {
         console.error('Add User Error:', err);
@@ -110,11 +156,8 @@ router.delete('/users/:id', async (req, res) => {
         if (req.query.role === 'student') {
             await Application.deleteMany({ studentId: userId });
         } else if (req.query.role === 'company') {
-            // Delete all jobs and applications for this company
-            const jobs = await Job.find({ companyId: userId });
-            const jobIds = jobs.map(j => j._id);
-            await Application.deleteMany({ jobId: { $in: jobIds } });
-            await Job.deleteMany({ companyId: userId });
+            // Delete all jobs of this company and what hangs off them
+            await deleteJobs(await Job.distinct('_id', { companyId: userId }));
         }
 
         await User.findByIdAndDelete(userId);
@@ -142,7 +185,8 @@ router.get('/users/:id/edit', async (req, res) => {
     try {
         const userToEdit = await User.findById(req.params.id).lean();
         if (!userToEdit) return res.render('pages/error', { error: 'User not found' });
-        res.render('pages/admin/edit-user', { user: req.session.user, userToEdit });
+        const { tiers } = await loadPlacementPolicy();
+        res.render('pages/admin/edit-user', { user: req.session.user, userToEdit, tiers });
     } catch (err) {
         console.error(err);
         res.render('pages/error', { error: 'Error loading user for editing' });
@@ -151,8 +195,20 @@ router.get('/users/:id/edit', async (req, res) => {
 
 router.post('/users/:id/edit', async (req, res) => {
     try {
-        const { name, email, role, status, companyName, branch, year } = req.body;
-        const updates = { name, email, role, status, companyName, branch, year };
+        const { name, email, role, status, companyName, tier, branch, year } = req.body;
+        const updates = { name, email, role, status, companyName, tier, branch, year };
+
+        // Academic record read by job eligibility checks; students cannot edit it
+        if (role === 'student' && req.body.cgpa !== undefined) {
+            const cgpa = parseFloat(req.body.cgpa);
+            const graduationYear = parseInt(req.body.graduationYear);
+            Object.assign(updates, {
+                cgpa: cgpa >= 0 && cgpa <= 10 ? cgpa : null,
+                graduationYear: graduationYear || null,
+                activeBacklogs: Math.max(0, parseInt(req.body.activeBacklogs) || 0),
+                gender: ['male', 'female', 'other'].includes(req.body.gender) ? req.body.gender : ''
+            });
+        }
         
         await User.findByIdAndUpdate(req.params.id, updates);
         
@@ -208,22 +264,33 @@ router.post('/users/toggle-status/:id', async (req, res) => {
     }
 });
 
-// Manage jobs
+// Manage jobs. ?status=pending is the review queue, oldest submission first.
 router.get('/jobs', async (req, res) => {
     try {
-        const jobs = await Job.find().sort({ createdAt: -1 }).populate('companyId', 'companyName name');
+        const status = JOB_STATUSES.includes(req.query.status) ? req.query.status : '';
+        const jobs = await Job.find(status ? { status } : {})
+            .sort({ createdAt: status === 'pending' ? 1 : -1 })
+            .populate('companyId', 'companyName name');
+        const pendingCount = await Job.countDocuments({ status: 'pending' });
         
         const jobsWithCounts = await Promise.all(jobs.map(async (job) => {
             const applicationCount = await Application.countDocuments({ jobId: job._id });
             return {
                 ...job.toObject(),
-                applications: applicationCount
+                applications: applicationCount,
+                review: job.latestReview(),
+                submission: job.statusHistory.filter(entry => entry.to === 'pending').at(-1)
             };
         }));
 
         res.render('pages/admin/jobs', { 
             jobs: jobsWithCounts, 
-            user: req.session.user 
+            status,
+            pendingCount,
+            statusLabels: JOB_STATUS_LABELS,
+            user: req.session.user,
+            success: req.query.success,
+            error: req.query.error
         });
     } catch (err) {
         console.error(err);
@@ -231,6 +298,68 @@ router.get('/jobs', async (req, res) => {
     }
 });
 
+// Review decisions on a pending job and the status each one moves it to.
+// Approved jobs with a future publish time are scheduled instead.
+const JOB_REVIEW_DECISIONS = {
+    approve: 'published',
+    request_changes: 'changes_requested',
+    reject: 'rejected'
+};
+
+// Approve, reject or ask for changes to a job submitted for review.
+// Rejections and change requests need a comment, which the company sees.
+router.post('/jobs/:id/review', async (req, res) => {
+    try {
+        const decision = JOB_REVIEW_DECISIONS[req.body.decision];
+        const comment = String(req.body.comment || '').trim().slice(0, 1000);
+        if (!decision) {
+            return res.redirect('/admin/jobs?status=pending&error=Invalid+decision');
+        }
+        if (decision !== 'published' && !comment) {
+            return res.redirect('/admin/jobs?status=pending&error=Please+add+a+comment+for+the+company');
+        }
+
+        const job = await Job.findById(req.params.id);
+        if (!job) {
+            return res.redirect('/admin/jobs?status=pending&error=Job+not+found');
+        }
+
+        const status = decision === 'published' ? job.approvedStatus() : decision;
+        job.changeStatus(status, { actor: req.session.user._id, role: 'admin', comment });
+        await job.save();
+
+        const label = JOB_STATUS_LABELS[status];
+        const messages = {
+            published: 'Your job is now visible to students.',
+            scheduled: `Your job will be visible to students from ${job.publishAt?.toLocaleString('en-IN')}.`
+        };
+        await Notification.send([job.companyId], {
+            type: 'job_review',
+            title: `${job.title}: ${label}`,
+            message: messages[status] || comment,
+            link: status === 'published' ? `/company/jobs/${job._id}/applications` : `/company/jobs/${job._id}/edit`
+        });
+        const company = await User.findById(job.companyId).select('name email');
+        if (company) {
+            await queueEmailSafely('job-review', company.email, {
+                name: company.name,
+                jobTitle: job.title,
+                status,
+                statusLabel: label,
+                publishAt: job.publishAt,
+                comment,
+                jobId: job._id.toString()
+            });
+        }
+
+        res.redirect(`/admin/jobs?status=pending&success=${encodeURIComponent(`${job.title}: ${label.toLowerCase()}`)}`);
+    } catch (err) {
+        console.error('Job Review Error:', err);
+        const error = err.name === 'InvalidTransitionError' ? err.message : 'Failed to review job';
+        res.redirect(`/admin/jobs?status=pending&error=${encodeURIComponent(error)}`);
+    }
+});
+
 // Delete job
 
 router.delete('/jobs/:id', async (req, res) => {
@@ -239,17 +368,29 @@ router.delete('/jobs/:id', async (req, res) => {
 
         const jobId = req.params.id;
 
+        const job = await Job.findById(jobId);
+
+        const applicantIds = await Application.distinct('studentId', { jobId });
+
         
 
-        // Delete all applications for this job
+        // Delete the job with its applications, offers and interview slots
 
-        await Application.deleteMany({ jobId });
+        await deleteJobs([jobId]);
 
-        
+        if (job) {
+
+            await Notification.send(applicantIds, {
+
+                type: 'job_deleted',
+
+                title: `${job.title} was removed`,
 
-        // Delete the job
+                message: `${job.title} at ${job.companyName} was removed; your application for it has been withdrawn.`
 
-        await Job.findByIdAndDelete(jobId);
+            });
+
+        }
 
         
 
@@ -277,7 +418,16 @@ router.get('/jobs/:id/edit', async (req, res) => {
 
         if (!job) return res.render('pages/error', { error: 'Job not found' });
 
-        res.render('pages/admin/edit-job', { user: req.session.user, job });
+        const { tiers } = await loadPlacementPolicy();
+
+        res.render('pages/admin/edit-job', {
+            user: req.session.user,
+            job,
+            tiers,
+            statusOptions: [job.status, ...JOB_STATUS_TRANSITIONS[job.status] || []],
+            statusLabels: JOB_STATUS_LABELS,
+            error: req.query.error
+        });
 
     } catch (err) {
 
@@ -295,7 +445,71 @@ router.post('/jobs/:id/edit', async (req, res) => {
 
     try {
 
-        await Job.findByIdAndUpdate(req.params.id, req.body);
+        const job = await Job.findById(req.params.id);
+
+        if (!job) return res.render('pages/error', { error: 'Job not found' });
+
+        // Status changes go through the review lifecycle rather than the update
+        const { status } = req.body;
+
+        const statusChanged = status && status !== job.status;
+
+        if (statusChanged && !job.canTransitionTo(status)) {
+
+            return res.redirect(`/admin/jobs/${req.params.id}/edit?error=${encodeURIComponent(`Cannot move a ${JOB_STATUS_LABELS[job.status].toLowerCase()} job to ${JOB_STATUS_LABELS[status] || status}`)}`);
+
+        }
+
+        // Saved through the document so the compensation hooks and the
+        // publish time validator run
+        job.set({
+            title: req.body.title,
+            companyName: req.body.companyName,
+            description: req.body.description,
+            location: req.body.location,
+            type: req.body.type || job.type,
+            tier: req.body.tier || ''
+        });
+
+        if (req.body.deadline) job.deadline = new Date(req.body.deadline);
+
+        // Re-parse the numeric compensation when the salary text was edited;
+        // text that cannot be parsed is kept as it is
+
+        if (req.body.salary && req.body.salary !== job.salary) {
+
+            const compensation = parseSalary(req.body.salary, job.type);
+
+            job.compensation = compensation || undefined;
+
+            job.salary = req.body.salary;
+
+        }
+
+        if (statusChanged) {
+
+            // Approving a pending job respects its publish time, like a review does
+            const next = job.status === 'pending' && ['published', 'scheduled'].includes(status) ? job.approvedStatus() : status;
+
+            job.changeStatus(next, { actor: req.session.user._id, role: 'admin', comment: 'Changed by the placement cell' });
+
+        }
+
+        await job.save();
+
+        const applicantIds = await Application.distinct('studentId', { jobId: job._id });
+
+        await Notification.send(applicantIds, {
+
+            type: 'job_updated',
+
+            title: `${job.title} was updated`,
+
+            message: `The placement cell updated the details of ${job.title}.`,
+
+            link: `/student/jobs/${job._id}`
+
+        });
 
         res.redirect('/admin/jobs');
 
@@ -303,7 +517,11 @@ router.post('/jobs/:id/edit', async (req, res) => {
 
         console.error('Update Job Error:', err);
 
-        res.redirect(`/admin/jobs/${req.params.id}/edit?error=Failed+to+update`);
+        const error = err.name === 'ValidationError'
+            ? Object.values(err.errors).map(e => e.message).join(', ')
+            : 'Failed to update';
+
+        res.redirect(`/admin/jobs/${req.params.id}/edit?error=${encodeURIComponent(error)}`);
 
     }
 
@@ -335,6 +553,8 @@ router.get('/jobs/:id', async (req, res) => {
 
             applications, 
 
+            statusLabels: JOB_STATUS_LABELS,
+
             user: req.session.user 
 
         });
@@ -353,13 +573,39 @@ router.get('/jobs/:id', async (req, res) => {
 
 // Manage Companies
 
+// Filters of the company list, shared with its export so both list the same companies
+const companyListFilters = (query) => ({
+    q: parseListFilters(query).q,
+    verification: VERIFICATION_STATUSES.includes(query.verification) ? query.verification : ''
+});
+
+const buildCompanyFilter = (filters) => {
+    const filter = buildUserFilter('company', filters);
+    if (filters.verification) filter['verification.status'] = filters.verification;
+    return filter;
+};
+
 router.get('/companies', async (req, res) => {
 
     try {
 
-        const companies = await User.find({ role: 'company' }).sort({ createdAt: -1 });
+        const filters = companyListFilters(req.query);
+        const filter = buildCompanyFilter(filters);
 
-        res.render('pages/admin/companies', { companies, user: req.session.user });
+        const companies = await User.find(filter).sort({ createdAt: -1 });
+        const pendingCount = await User.countDocuments({ role: 'company', 'verification.status': 'pending' });
+
+        res.render('pages/admin/companies', {
+            companies,
+            filters,
+            pendingCount,
+            domainChecks: Object.fromEntries(companies.map(company => [company._id.toString(), emailDomainCheck(company)])),
+            verificationStatuses: VERIFICATION_STATUSES,
+            exportColumns: COMPANY_COLUMNS,
+            user: req.session.user,
+            success: req.query.success,
+            error: req.query.error
+        });
 
     } catch (err) {
 
@@ -373,15 +619,71 @@ router.get('/companies', async (req, res) => {
 
 
 
+// Approve or reject a company. Rejections need a reason, which the company
+// sees; approval also marks its job listings verified.
+router.post('/companies/:id/verification', async (req, res) => {
+    try {
+        const company = await User.findOne({ _id: req.params.id, role: 'company' });
+        if (!company) {
+            return res.redirect('/admin/companies?error=Company+not+found');
+        }
+
+        const approved = req.body.decision === 'approve';
+        const reason = (req.body.reason || '').trim();
+        if (!approved && !reason) {
+            return res.redirect('/admin/companies?verification=pending&error=Give+a+reason+for+the+rejection');
+        }
+
+        company.verification = {
+            ...company.toObject().verification,
+            status: approved ? 'approved' : 'rejected',
+            reviewedAt: new Date(),
+            reviewedBy: req.session.user._id,
+            reason: approved ? undefined : reason
+        };
+        await company.save();
+        await Job.updateMany({ companyId: company._id }, { companyVerified: approved });
+
+        const companyName = company.companyName || company.name;
+        await Notification.send(company._id, {
+            type: 'company_verification',
+            title: approved ? 'Your company is verified' : 'Your company could not be verified',
+            message: approved ? 'You can now post jobs and review applicants.' : reason,
+            link: approved ? '/company/jobs/post' : '/company/verification'
+        });
+        await queueEmailSafely('company-verification', company.email, {
+            name: company.name,
+            companyName,
+            approved,
+            reason
+        });
+
+        res.redirect(`/admin/companies?success=${encodeURIComponent(`${companyName} ${approved ? 'approved' : 'rejected'}`)}`);
+    } catch (err) {
+        console.error('Company Verification Error:', err);
+        res.redirect('/admin/companies?error=Failed+to+update+verification');
+    }
+});
+
+
+
 // Manage Students
 
+// Filters the student list offers, shared with its export so both list the same students
+const studentListFilters = (query) => {
+    const { q, branch, year } = parseListFilters(query);
+    return { q, branch, year };
+};
+
 router.get('/students', async (req, res) => {
 
     try {
 
-        const students = await User.find({ role: 'student' }).sort({ createdAt: -1 });
+        const filters = studentListFilters(req.query);
+
+        const students = await User.find(buildUserFilter('student', filters)).sort({ createdAt: -1 });
 
-        res.render('pages/admin/students', { students, user: req.session.user });
+        res.render('pages/admin/students', { students, filters, exportColumns: STUDENT_COLUMNS, user: req.session.user });
 
     } catch (err) {
 
@@ -407,7 +709,11 @@ router.get('/applications', async (req, res) => {
 
 
 
-        const applications = await Application.find()
+        const filters = parseListFilters(req.query);
+
+
+
+        const applications = await Application.find(await buildApplicationFilter(filters))
 
 
 
@@ -427,7 +733,27 @@ router.get('/applications', async (req, res) => {
 
 
 
-        res.render('pages/admin/applications', { applications, user: req.session.user });
+        const offers = await Offer.find({ applicationId: { $in: applications.map(app => app._id) } });
+
+
+
+        const offersByApplication = Object.fromEntries(offers.map(offer => [offer.applicationId.toString(), offer]));
+
+
+
+        const companies = await User.find({ role: 'company' }, 'companyName name').sort({ companyName: 1 });
+
+
+
+        res.render('pages/admin/applications', {
+            applications,
+            offersByApplication,
+            filters,
+            companies,
+            statuses: APPLICATION_STATUSES,
+            exportColumns: APPLICATION_COLUMNS,
+            user: req.session.user
+        });
 
 
 
@@ -455,6 +781,166 @@ router.get('/applications', async (req, res) => {
 
 
 
+// Bulk student onboarding: upload a roster for a dry-run preview, then
+// confirm to create the accounts. The parsed rows wait in the session.
+router.get('/students/import', (req, res) => {
+    res.render('pages/admin/student-import', {
+        user: req.session.user,
+        plan: null,
+        fileName: null,
+        success: req.query.success,
+        error: req.query.error
+    });
+});
+
+router.post('/students/import', async (req, res) => {
+    try {
+        if (!req.files || !req.files.roster) {
+            return res.redirect('/admin/students/import?error=Choose+a+roster+file+to+upload');
+        }
+
+        const rows = await parseRoster(req.files.roster);
+        const plan = await planImport(rows);
+        req.session.rosterImport = { fileName: req.files.roster.name, rows };
+
+        res.render('pages/admin/student-import', {
+            user: req.session.user,
+            plan,
+            fileName: req.files.roster.name
+        });
+    } catch (err) {
+        if (err.name === 'RosterFormatError') {
+            return res.redirect(`/admin/students/import?error=${encodeURIComponent(err.message)}`);
+        }
+        console.error('Roster Preview Error:', err);
+        res.redirect('/admin/students/import?error=Failed+to+read+roster');
+    }
+});
+
+router.post('/students/import/confirm', async (req, res) => {
+    try {
+        const pending = req.session.rosterImport;
+        if (!pending) {
+            return res.redirect('/admin/students/import?error=Upload+the+roster+again+to+import+it');
+        }
+
+        // Planned again so rows imported since the preview are not created twice
+        const result = await applyImport(await planImport(pending.rows));
+        delete req.session.rosterImport;
+
+        const message = `Imported ${pending.fileName}: ${result.created} created, ${result.updated} updated, ` +
+            `${result.unchanged} unchanged, ${result.skipped} skipped`;
+        res.redirect(`/admin/students/import?success=${encodeURIComponent(message)}`);
+    } catch (err) {
+        console.error('Roster Import Error:', err);
+        res.redirect('/admin/students/import?error=Failed+to+import+roster');
+    }
+});
+
+// CSV/XLSX exports of the applications, students and companies lists,
+// filtered the same way as the pages
+const exportFormat = (query) => (EXPORT_FORMATS.includes(query.format) ? query.format : 'csv');
+
+router.get('/applications/export', async (req, res) => {
+    try {
+        const rows = Application.find(await buildApplicationFilter(parseListFilters(req.query)))
+            .populate('studentId', 'name email rollNumber branch year cgpa skills')
+            .populate('jobId', 'title companyName')
+            .populate('companyId', 'companyName')
+            .sort({ appliedDate: -1 })
+            .cursor();
+
+        await sendExport(res, {
+            format: exportFormat(req.query),
+            filename: 'applications',
+            sheetName: 'Applications',
+            columns: selectColumns(APPLICATION_COLUMNS, req.query.columns),
+            rows
+        });
+    } catch (err) {
+        console.error('Export Applications Error:', err);
+        if (res.headersSent) return res.end();
+        res.render('pages/error', { error: 'Error exporting applications' });
+    }
+});
+
+router.get('/students/export', async (req, res) => {
+    try {
+        const rows = User.find(buildUserFilter('student', studentListFilters(req.query)), '-password -resetToken -calendarToken')
+            .sort({ createdAt: -1 })
+            .cursor();
+
+        await sendExport(res, {
+            format: exportFormat(req.query),
+            filename: 'students',
+            sheetName: 'Students',
+            columns: selectColumns(STUDENT_COLUMNS, req.query.columns),
+            rows
+        });
+    } catch (err) {
+        console.error('Export Students Error:', err);
+        if (res.headersSent) return res.end();
+        res.render('pages/error', { error: 'Error exporting students' });
+    }
+});
+
+router.get('/companies/export', async (req, res) => {
+    try {
+        const rows = User.find(buildCompanyFilter(companyListFilters(req.query)), '-password -resetToken -calendarToken')
+            .sort({ createdAt: -1 })
+            .cursor();
+
+        await sendExport(res, {
+            format: exportFormat(req.query),
+            filename: 'companies',
+            sheetName: 'Companies',
+            columns: selectColumns(COMPANY_COLUMNS, req.query.columns),
+            rows
+        });
+    } catch (err) {
+        console.error('Export Companies Error:', err);
+        if (res.headersSent) return res.end();
+        res.render('pages/error', { error: 'Error exporting companies' });
+    }
+});
+
+// Change an application's status as admin (still bound by the allowed transitions)
+router.post('/applications/:id/status', async (req, res) => {
+    try {
+        const application = await Application.findById(req.params.id).populate('jobId', 'title');
+        if (!application) {
+            return res.status(404).json({ error: 'Application not found' });
+        }
+
+        const status = (req.body.status || '').toLowerCase();
+        if (!application.canTransitionTo(status)) {
+            return res.status(400).json({
+                error: `Cannot change status from ${application.status} to ${status || 'an empty status'}`,
+                allowed: application.allowedTransitions()
+            });
+        }
+
+        application.changeStatus(status, {
+            actor: req.session.user._id,
+            role: 'admin',
+            note: req.body.note
+        });
+        await application.save();
+
+        await Notification.send(application.studentId, {
+            type: 'status_changed',
+            title: `Application ${status}`,
+            message: `Your application for ${application.jobId?.title || 'a job'} is now ${status}.`,
+            link: `/student/applications/${application._id}`
+        });
+
+        res.json({ message: 'Application status updated successfully' });
+    } catch (err) {
+        console.error('Update Application Status Error:', err);
+        res.status(500).json({ error: 'Failed to update status' });
+    }
+});
+
 // Settings routes
 
 
@@ -487,7 +973,17 @@ router.get('/settings', async (req, res) => {
 
 
 
-        res.render('pages/admin/settings', { user: req.session.user, settings });
+        const placementPolicy = await loadPlacementPolicy();
+
+
+
+        res.render('pages/admin/settings', {
+            user: req.session.user,
+            settings,
+            placementPolicy,
+            policyTypes: POLICY_TYPES,
+            skillDictionary: formatSkillDictionary(settings.skillDictionary)
+        });
 
 
 
@@ -599,6 +1095,117 @@ router.post('/settings', async (req, res) => {
 
 
 
+// Save placement tiers and policies
+router.post('/settings/placement-policy', async (req, res) => {
+    try {
+        const tiers = parseTiers(req.body.placementTiers);
+        const policies = parsePolicies(req.body.policies);
+
+        await Setting.findOneAndUpdate(
+            { key: 'placementTiers' },
+            {
+                value: tiers,
+                name: 'Placement Tiers',
+                description: 'Company and job tiers, from most to least sought after.'
+            },
+            { upsert: true }
+        );
+        await Setting.findOneAndUpdate(
+            { key: 'placementPolicies' },
+            {
+                value: policies,
+                name: 'Placement Policies',
+                description: 'Rules checked against accepted offers when a student applies.'
+            },
+            { upsert: true }
+        );
+
+        res.redirect('/admin/settings?success=Placement+policies+updated');
+    } catch (err) {
+        console.error('Placement Policy Update Error:', err);
+        res.redirect('/admin/settings?error=Failed+to+update+placement+policies');
+    }
+});
+
+// Save the skills looked for in uploaded resumes, on top of the built-in list
+router.post('/settings/skills', async (req, res) => {
+    try {
+        await Setting.findOneAndUpdate(
+            { key: 'skillDictionary' },
+            {
+                value: parseSkillDictionary(req.body.skillDictionary),
+                name: 'Skills Dictionary',
+                description: 'Extra skills, with their other spellings, detected in student resumes.'
+            },
+            { upsert: true }
+        );
+
+        res.redirect('/admin/settings?success=Skills+dictionary+updated');
+    } catch (err) {
+        console.error('Skills Dictionary Update Error:', err);
+        res.redirect('/admin/settings?error=Failed+to+update+skills+dictionary');
+    }
+});
+
+// Email outbox and delivery log
+router.get('/emails', async (req, res) => {
+    try {
+        const filters = { status: EMAIL_STATUSES.includes(req.query.status) ? req.query.status : '' };
+        const query = filters.status ? { status: filters.status } : {};
+
+        const [messages, countsByStatus] = await Promise.all([
+            EmailMessage.find(query, '-html -text').sort({ createdAt: -1 }).limit(100),
+            EmailMessage.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+        ]);
+        const counts = Object.fromEntries(countsByStatus.map(({ _id, count }) => [_id, count]));
+
+        res.render('pages/admin/emails', {
+            user: req.session.user,
+            messages,
+            counts,
+            filters,
+            statuses: EMAIL_STATUSES
+        });
+    } catch (err) {
+        console.error('Email Log Error:', err);
+        res.render('pages/error', { error: 'Error loading email log' });
+    }
+});
+
+// Requeue an email that ran out of delivery attempts
+router.post('/emails/:id/retry', async (req, res) => {
+    try {
+        const message = await retryEmail(req.params.id);
+        if (!message) {
+            return res.status(404).json({ error: 'Failed email not found' });
+        }
+        res.json({ message: 'Email queued for delivery' });
+    } catch (err) {
+        console.error('Email Retry Error:', err);
+        res.status(500).json({ error: 'Failed to retry email' });
+    }
+});
+
+// Overlapping interviews across the whole drive: students booked twice and
+// company panels in two interviews at once. ?from=YYYY-MM-DD, default today.
+router.get('/interview-clashes', async (req, res) => {
+    try {
+        const from = /^\d{4}-\d{2}-\d{2}$/.test(req.query.from || '') ? new Date(`${req.query.from}T00:00:00`) : new Date();
+        from.setHours(0, 0, 0, 0);
+
+        const clashes = await findAllClashes({ from });
+
+        res.render('pages/admin/interview-clashes', {
+            user: req.session.user,
+            clashes,
+            from: from.toLocaleDateString('en-CA')
+        });
+    } catch (err) {
+        console.error('Interview Clash Report Error:', err);
+        res.render('pages/error', { error: 'Error loading interview clash report' });
+    }
+});
+
 export default router;
 
 
@@ -0,0 +1,169 @@
+import express from "express";
+import { isAuthenticated } from "../middleware/authMiddleware.js";
+import Application from "../models/Application.js";
+import Job from "../models/Job.js";
+import User from "../models/User.js";
+import { buildCalendar, eventUid, calendarFeedUrl } from "../utils/ical.js";
+import { siteUrl } from "../utils/mailer.js";
+
+const router = express.Router();
+
+// Deadlines stay in the feed this long after they pass
+const PAST_DEADLINE_DAYS = 30;
+
+// Calendar event for one interview round, worded for the viewing role.
+// Expects application.jobId (and studentId for companies) to be populated.
+const interviewEvent = (application, round, role) => {
+    const job = application.jobId || {};
+    const counterpart = role === "company" ? application.studentId?.name : job.companyName;
+    const online = round.mode === "Online";
+
+    const description = [
+        `${round.name} (${round.type}) for ${job.title}`,
+        role === "company" ? `Candidate: ${application.studentId?.name}` : `Company: ${job.companyName}`,
+        round.mode ? `Mode: ${round.mode}` : null,
+        online && round.link ? `Meeting link: ${round.link}` : null,
+        round.panel && round.panel.length > 0 ? `Panel: ${round.panel.join(", ")}` : null
+    ].filter(Boolean).join("\n");
+
+    return {
+        // Legacy single interviews have no round id yet; once converted,
+        // their round takes the application's id, so the UID is unchanged
+        uid: eventUid("interview", round._id || application._id),
+        start: round.scheduledAt,
+        durationMinutes: round.durationMinutes || 60,
+        summary: `${round.name}: ${job.title}${counterpart ? ` - ${counterpart}` : ""}`,
+        description,
+        location: online ? round.link : round.location,
+        url: `${siteUrl()}/${role}/interviews`,
+        sequence: round.sequence,
+        cancelled: Boolean(round.cancelledAt) || (application.status === "rejected" && round.outcome === "pending")
+    };
+};
+
+const deadlineEvent = (job) => ({
+    uid: eventUid("deadline", job._id),
+    start: job.deadline,
+    end: job.deadline,
+    summary: `Application deadline: ${job.title} (${job.companyName})`,
+    description: `Applications for ${job.title} at ${job.companyName} close at this time.`,
+    url: `${siteUrl()}/student/jobs/${job._id}`,
+    cancelled: job.status !== "published"
+});
+
+const interviewEvents = async (user) => {
+    if (!["student", "company"].includes(user.role)) return [];
+
+    const owner = user.role === "company" ? { companyId: user._id } : { studentId: user._id };
+    const applications = await Application.find({
+        ...owner,
+        $or: [
+            { "rounds.scheduledAt": { $ne: null } },
+            { interviewDate: { $ne: null } }
+        ]
+    })
+    .populate("jobId", "title companyName")
+    .populate("studentId", "name");
+
+    return applications.flatMap(application => application.interviewRounds()
+        .filter(round => round.scheduledAt)
+        .map(round => interviewEvent(application, round, user.role)));
+};
+
+// Students see deadlines of open jobs they can still apply to, companies
+// their own jobs and admins every open job
+const deadlineEvents = async (user) => {
+    const since = new Date(Date.now() - PAST_DEADLINE_DAYS * 24 * 60 * 60 * 1000);
+    const filter = { deadline: { $gte: since } };
+
+    if (user.role === "company") {
+        filter.companyId = user._id;
+    } else {
+        filter.status = "published";
+    }
+
+    let jobs = await Job.find(filter).sort({ deadline: 1 });
+
+    if (user.role === "student") {
+        const appliedJobIds = (await Application.distinct("jobId", { studentId: user._id })).map(String);
+        jobs = jobs.filter(job => !appliedJobIds.includes(String(job._id)) && job.checkEligibility(user).eligible);
+    }
+
+    return jobs.map(deadlineEvent);
+};
+
+const sendCalendar = (res, calendar, filename) => {
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    if (filename) {
+        res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    }
+    res.send(calendar);
+};
+
+// Subscribable feed. The secret token is the only credential, so calendar
+// apps can fetch it without a session.
+router.get("/feed/:token.ics", async (req, res) => {
+    try {
+        const user = await User.findOne({ calendarToken: req.params.token });
+        if (!user) {
+            return res.status(404).send("Calendar not found");
+        }
+
+        const [interviews, deadlines] = await Promise.all([
+            interviewEvents(user),
+            deadlineEvents(user)
+        ]);
+
+        sendCalendar(res, buildCalendar({
+            name: "Placements",
+            events: [...interviews, ...deadlines]
+        }));
+    } catch (err) {
+        console.error('Calendar Feed Error:', err);
+        res.status(500).send("Failed to build calendar");
+    }
+});
+
+// Download a single interview round as an .ics file
+router.get("/interviews/:applicationId/:roundId.ics", isAuthenticated, async (req, res) => {
+    try {
+        const user = req.session.user;
+        const application = await Application.findById(req.params.applicationId)
+            .populate("jobId", "title companyName")
+            .populate("studentId", "name");
+
+        const ownerId = user.role === "company" ? application?.companyId : application?.studentId?._id;
+        if (!application || !ownerId || ownerId.toString() !== user._id.toString()) {
+            return res.status(404).render("pages/error", { error: "Interview not found" });
+        }
+
+        const round = application.interviewRounds()
+            .find(r => String(r._id || "legacy") === req.params.roundId);
+        if (!round || !round.scheduledAt) {
+            return res.status(404).render("pages/error", { error: "Interview not found" });
+        }
+
+        const event = interviewEvent(application, round, user.role);
+        sendCalendar(res, buildCalendar({
+            events: [event],
+            method: event.cancelled ? "CANCEL" : "PUBLISH"
+        }), `interview-${req.params.roundId}.ics`);
+    } catch (err) {
+        console.error('Interview Calendar Error:', err);
+        res.render("pages/error", { error: "Failed to export interview" });
+    }
+});
+
+// Replace the feed token, e.g. after the URL was shared by mistake
+router.post("/token/reset", isAuthenticated, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.user._id);
+        await user.resetCalendarToken();
+        res.json({ message: "Calendar link reset", url: calendarFeedUrl(user.calendarToken) });
+    } catch (err) {
+        console.error('Calendar Token Error:', err);
+        res.status(500).json({ error: "Failed to reset calendar link" });
+    }
+});
+
+export default router;
@@ -1,15 +1,217 @@
 import express from "express";
-import { isCompany } from "../middleware/roleMiddleware.js";
-import Job from "../models/Job.js";
-import Application from "../models/Application.js";
+import { isCompany, isVerifiedCompany } from "../middleware/roleMiddleware.js";
+import Job, { MAX_SCREENING_PRESETS, JOB_STATUS_LABELS } from "../models/Job.js";
+import Application, { APPLICATION_STATUSES, ROUND_TYPES, ROUND_OUTCOMES, MAX_INTERVIEW_MINUTES } from "../models/Application.js";
 import User from "../models/User.js";
+import Offer from "../models/Offer.js";
+import InterviewSlot from "../models/InterviewSlot.js";
+import Notification from "../models/Notification.js";
+import { generateOfferLetter } from "../utils/offerLetter.js";
+import { queueEmailSafely } from "../utils/mailer.js";
+import { formatMoney } from "../utils/salary.js";
+import { calendarFeedUrl } from "../utils/ical.js";
+import { findClashes, describeClash } from "../utils/interviewClashes.js";
+import { documentDir, documentUrl, parseDocumentUrl, MAX_SIGNED_LINK_HOURS, signedDocumentUrl } from "../utils/documents.js";
+import { parseListFilters, buildApplicationFilter, toQueryString, APPLICANT_SORTS } from "../utils/listFilters.js";
+import { screenApplications } from "../utils/screening.js";
+import { emailDomainCheck, saveProofDocument, notifyAdminsOfReview } from "../utils/companyVerification.js";
+import { APPLICATION_COLUMNS, EXPORT_FORMATS, selectColumns, sendExport } from "../utils/exporter.js";
+import { deleteJobs } from "../utils/jobRemoval.js";
 import path from "path";
+import fs from "fs";
 
 const router = express.Router();
 
 // Protect all company routes
 router.use(isCompany);
 
+// Posting jobs and anything showing applicants need a verified company
+router.use([
+    "/jobs/post",
+    "/jobs/:jobId/submit",
+    "/jobs/:jobId/applications",
+    "/jobs/:jobId/presets",
+    "/applications",
+    "/interviews",
+    "/interview-slots"
+], isVerifiedCompany);
+
+// Build the structured compensation fields from the post/edit job form
+const buildCompensation = (body) => {
+    const toNumber = (value) => (value !== undefined && value !== '' && !isNaN(value) ? parseFloat(value) : undefined);
+    const toRange = (min, max) => ({ min: toNumber(min), max: toNumber(max) });
+
+    return {
+        currency: body.currency || 'INR',
+        period: body.period === 'monthly' ? 'monthly' : 'annual',
+        fixed: toRange(body.fixedMin, body.fixedMax),
+        variable: toRange(body.variableMin, body.variableMax),
+        total: toRange(body.totalMin, body.totalMax),
+        stipend: toNumber(body.stipend),
+        durationMonths: toNumber(body.durationMonths)
+    };
+};
+
+// Build the default interview round template from the post/edit job form,
+// submitted as rounds[i][name], rounds[i][type], ...
+const buildRoundTemplate = (body) => {
+    const rounds = Array.isArray(body.rounds) ? body.rounds : Object.values(body.rounds || {});
+    return rounds
+        .filter(round => round && round.name && round.name.trim())
+        .map(round => ({
+            name: round.name.trim(),
+            type: ROUND_TYPES.includes(round.type) ? round.type : 'other',
+            durationMinutes: Math.min(parseInt(round.durationMinutes) || 60, MAX_INTERVIEW_MINUTES),
+            mode: ['Online', 'Offline'].includes(round.mode) ? round.mode : undefined
+        }));
+};
+
+// Optional time an approved job becomes visible to students
+const buildPublishAt = (body) => (body.publishAt ? new Date(body.publishAt) : undefined);
+
+// Statuses in which a job's publish time can still be changed
+const SCHEDULABLE_STATUSES = ["draft", "pending", "changes_requested", "scheduled"];
+
+// Statuses from which a company can send a job to review
+const SUBMITTABLE_STATUSES = ["draft", "changes_requested", "closed"];
+
+// Tabs of the jobs list: drafts, jobs waiting for a future publish time
+// (approved or still in review) and everything else
+const JOB_TABS = { posted: "Posted", drafts: "Drafts", scheduled: "Scheduled" };
+
+const jobTab = (job, now = new Date()) => {
+    if (job.status === "draft") return "drafts";
+    if (SCHEDULABLE_STATUSES.includes(job.status) && job.publishAt > now) return "scheduled";
+    return "posted";
+};
+
+// Let admins know a job is waiting in the review queue
+const notifyJobSubmitted = async (job) => {
+    const admins = await User.distinct("_id", { role: "admin" });
+    await Notification.send(admins, {
+        type: "job_review",
+        title: `${job.title} at ${job.companyName} is awaiting review`,
+        message: job.statusHistory.at(-1)?.comment,
+        link: "/admin/jobs?status=pending"
+    });
+};
+
+// Longer interviews would slip past clash detection, so the schedule forms
+// are checked up front instead of failing at the schema's max
+const durationTooLong = (body) => parseInt(body.durationMinutes) > MAX_INTERVIEW_MINUTES;
+const DURATION_ERROR = `Interviews can be at most ${MAX_INTERVIEW_MINUTES / 60} hours long`;
+
+// Copy the interview details posted by the schedule forms onto a round
+const applyRoundSchedule = (round, body) => {
+    if (body.interviewDate) {
+        round.scheduledAt = new Date(body.interviewDate);
+        round.cancelledAt = undefined;
+    }
+    if (body.interviewMode) {
+        round.mode = body.interviewMode;
+    }
+    if (body.interviewLocation) {
+        round.location = body.interviewLocation;
+    }
+    if (body.interviewLink) {
+        round.link = body.interviewLink;
+    }
+    if (body.durationMinutes) {
+        round.durationMinutes = parseInt(body.durationMinutes) || round.durationMinutes;
+    }
+    if (body.panel !== undefined) {
+        round.panel = [].concat(body.panel).join(',').split(',').map(p => p.trim()).filter(p => p);
+    }
+};
+
+// Check a round about to be saved for clashes with the student's other
+// interviews and with the company's panels. Responds with 409 and the list
+// of clashes (returning true) unless overrideReason was given, in which case
+// the reason is recorded on the round.
+const rejectClashes = async (req, res, application, round) => {
+    const clashes = await findClashes(application, round);
+    if (clashes.length === 0) {
+        round.clashOverride = undefined;
+        return false;
+    }
+
+    const reason = (req.body.overrideReason || "").trim();
+    if (!reason) {
+        res.status(409).json({
+            error: "This interview clashes with other scheduled interviews",
+            clashes: clashes.map(clash => describeClash(clash, req.session.user._id)),
+            overrideRequired: true
+        });
+        return true;
+    }
+
+    round.clashOverride = { reason, by: req.session.user._id, at: new Date() };
+    return false;
+};
+
+// Let the student know their application changed status, and email them
+// when shortlisted. Expects application.jobId to be populated.
+const notifyStatusChange = async (application, status) => {
+    await Notification.send(application.studentId, {
+        type: "status_changed",
+        title: `Application ${status}`,
+        message: `Your application for ${application.jobId.title} is now ${status}.`,
+        link: `/student/applications/${application._id}`
+    });
+    if (status === "shortlisted") {
+        const student = await User.findById(application.studentId, "name email");
+        if (student) {
+            await queueEmailSafely("shortlisted", student.email, {
+                name: student.name,
+                jobTitle: application.jobId.title,
+                companyName: application.jobId.companyName,
+                link: `/student/applications/${application._id}`
+            });
+        }
+    }
+};
+
+// Let the student know an interview round has been scheduled, in the app
+// and by email. Expects application.jobId to be populated.
+const notifyInterviewScheduled = async (application, round) => {
+    await Notification.send(application.studentId, {
+        type: "interview_scheduled",
+        title: `${round.name} scheduled`,
+        message: `${round.name} for ${application.jobId.title} is scheduled on ${new Date(round.scheduledAt).toLocaleString()}.`,
+        link: "/student/interviews"
+    });
+
+    const student = await User.findById(application.studentId, "name email");
+    if (student) {
+        await queueEmailSafely("interview-scheduled", student.email, {
+            name: student.name,
+            jobTitle: application.jobId.title,
+            companyName: application.jobId.companyName,
+            roundName: round.name,
+            scheduledAt: round.scheduledAt,
+            durationMinutes: round.durationMinutes,
+            mode: round.mode,
+            location: round.location,
+            meetingLink: round.link
+        });
+    }
+};
+
+// Build the structured eligibility criteria from the post/edit job form
+const buildEligibilityCriteria = (body) => {
+    const toList = (value) => (value || '').split(',').map(item => item.trim()).filter(item => item);
+    const genders = [].concat(body.genders || []).filter(g => g);
+
+    return {
+        minCGPA: body.minCGPA ? parseFloat(body.minCGPA) : undefined,
+        branches: toList(body.branches),
+        graduationYears: toList(body.graduationYears).map(y => parseInt(y)).filter(y => !isNaN(y)),
+        maxBacklogs: body.maxBacklogs !== undefined && body.maxBacklogs !== '' ? parseInt(body.maxBacklogs) : undefined,
+        genders,
+        diversityDrive: body.diversityDrive === 'on' || body.diversityDrive === 'true'
+    };
+};
+
 // Company Dashboard
 router.get("/dashboard", async (req, res) => {
     try {
@@ -18,7 +220,7 @@ router.get("/dashboard", async (req, res) => {
         // Get active jobs
         const jobs = await Job.find({ 
             companyId: user._id,
-            status: "active" 
+            status: "published"
         }).sort({ createdAt: -1 }).limit(5);
 
         // Get recent applications
@@ -44,7 +246,7 @@ router.get("/dashboard", async (req, res) => {
         const stats = {
             activeJobs: await Job.countDocuments({ 
                 companyId: user._id,
-                status: "active"
+                status: "published"
             }),
             totalApplications: await Application.countDocuments({
                 jobId: { $in: jobs.map(j => j._id) }
@@ -59,8 +261,11 @@ router.get("/dashboard", async (req, res) => {
             })
         };
 
+        const company = await User.findById(user._id, "verification");
+
         res.render("pages/company/dashboard", {
             user,
+            verification: company?.verification || {},
             jobs,
             applications,
             upcomingInterviews,
@@ -136,6 +341,56 @@ router.post("/profile", async (req, res) => {
     }
 });
 
+// Verification status, and where to upload proof while not yet approved
+router.get("/verification", async (req, res) => {
+    try {
+        const company = await User.findById(req.session.user._id);
+        req.session.user = company.toObject();
+
+        res.render("pages/company/verification", {
+            user: req.session.user,
+            verification: company.verification || {},
+            domainCheck: emailDomainCheck(company),
+            success: req.query.success,
+            error: req.query.error
+        });
+    } catch (err) {
+        console.error(err);
+        res.render("pages/error", { error: "Error loading verification status" });
+    }
+});
+
+// Upload proof and ask for a (new) review
+router.post("/verification", async (req, res) => {
+    try {
+        if (!req.files || !req.files.verificationDocument) {
+            return res.redirect("/company/verification?error=Choose+a+file+to+upload");
+        }
+
+        const company = await User.findById(req.session.user._id);
+        if (company.verification?.status === "approved") {
+            return res.redirect("/company/verification?error=Your+company+is+already+verified");
+        }
+
+        company.verification = {
+            status: "pending",
+            document: await saveProofDocument(company._id, req.files.verificationDocument),
+            submittedAt: new Date()
+        };
+        await company.save();
+        req.session.user = company.toObject();
+        await notifyAdminsOfReview(company);
+
+        res.redirect("/company/verification?success=Proof+uploaded.+The+placement+cell+will+review+it+soon.");
+    } catch (err) {
+        if (err.name === "VerificationError") {
+            return res.redirect(`/company/verification?error=${encodeURIComponent(err.message)}`);
+        }
+        console.error(err);
+        res.redirect("/company/verification?error=Failed+to+upload+proof");
+    }
+});
+
 // Post new job
 router.get("/jobs/post", (req, res) => {
     res.render("pages/company/post-job", { user: req.session.user });
@@ -172,19 +427,7 @@ router.post("/jobs/post", async (req, res) => {
 
         // Convert skills from comma-separated string to array
         const skillsArray = req.body.skillsRequired ? req.body.skillsRequired.split(',').map(skill => skill.trim()).filter(skill => skill) : [];
-        
-        // Format salary with period if provided
-        let salary = req.body.salary || '';
-        if (req.body.salaryPeriod) {
-            salary = `₹${salary} ${req.body.salaryPeriod}`;
-        }
 
-        // Format eligibility with CGPA if provided
-        let eligibility = req.body.eligibility || '';
-        if (req.body.minCGPA) {
-            eligibility += ` (Min CGPA: ${req.body.minCGPA})`;
-        }
-        
         const job = new Job({
             companyId: user._id,
             companyName: user.companyName || user.name || 'Company',
@@ -192,15 +435,26 @@ router.post("/jobs/post", async (req, res) => {
             description: description,
             type: jobType,
             location: req.body.location,
-            salary: salary,
-            eligibility: eligibility,
+            compensation: buildCompensation(req.body),
+            eligibility: req.body.eligibility || '',
+            eligibilityCriteria: buildEligibilityCriteria(req.body),
             skillsRequired: skillsArray,
+            roundTemplate: buildRoundTemplate(req.body),
             deadline: new Date(req.body.deadline),
-            status: "active"
+            publishAt: buildPublishAt(req.body),
+            companyVerified: true
         });
-        
+
+        // Saved as a draft, or sent straight to the placement cell's review
+        const submit = req.body.action !== "draft";
+        if (submit) {
+            job.changeStatus("pending", { actor: user._id, role: "company", comment: "Submitted for review" });
+        }
         await job.save();
-        res.redirect("/company/jobs?success=Job+posted+successfully");
+        if (submit) {
+            await notifyJobSubmitted(job);
+        }
+        res.redirect(`/company/jobs?tab=${jobTab(job)}&success=${submit ? "Job+submitted+for+review" : "Draft+saved"}`);
     } catch (err) {
         console.error('Job Posting Error:', err);
         let errorMessage = "Failed to post job. ";
@@ -227,22 +481,35 @@ router.post("/jobs/post", async (req, res) => {
 // View posted jobs
 router.get("/jobs", async (req, res) => {
     try {
-        const jobs = await Job.find({ companyId: req.session.user._id })
+        const tab = JOB_TABS[req.query.tab] ? req.query.tab : "posted";
+        const allJobs = await Job.find({ companyId: req.session.user._id })
             .sort({ createdAt: -1 });
 
+        const now = new Date();
+        const tabCounts = Object.fromEntries(Object.keys(JOB_TABS).map(name => [name, 0]));
+        allJobs.forEach(job => tabCounts[jobTab(job, now)]++);
+        const jobs = allJobs.filter(job => jobTab(job, now) === tab);
+
         // Get application count for each job
         const jobsWithCounts = await Promise.all(jobs.map(async (job) => {
             const applicationCount = await Application.countDocuments({ jobId: job._id });
             return {
                 ...job.toObject(),
-                applicationCount
+                applicationCount,
+                review: job.latestReview(),
+                canSubmit: SUBMITTABLE_STATUSES.includes(job.status)
             };
         }));
 
         res.render("pages/company/jobs", { 
             jobs: jobsWithCounts, 
+            tab,
+            tabs: JOB_TABS,
+            tabCounts,
+            statusLabels: JOB_STATUS_LABELS,
             user: req.session.user,
-            success: req.query.success
+            success: req.query.success,
+            error: req.query.error
         });
     } catch (err) {
         console.error(err);
@@ -250,6 +517,54 @@ router.get("/jobs", async (req, res) => {
     }
 });
 
+// Send a draft, a job with requested changes or a closed job to review
+router.post("/jobs/:jobId/submit", async (req, res) => {
+    try {
+        const job = await Job.findOne({ _id: req.params.jobId, companyId: req.session.user._id });
+        if (!job) {
+            return res.status(404).json({ error: "Job not found" });
+        }
+        if (!SUBMITTABLE_STATUSES.includes(job.status)) {
+            return res.status(400).json({ error: `A job that is ${JOB_STATUS_LABELS[job.status].toLowerCase()} cannot be submitted for review` });
+        }
+
+        job.changeStatus("pending", { actor: req.session.user._id, role: "company", comment: "Submitted for review" });
+        await job.save();
+        await notifyJobSubmitted(job);
+
+        res.json({ message: "Job submitted for review" });
+    } catch (err) {
+        console.error('Submit Job Error:', err);
+        res.status(500).json({ error: "Failed to submit job" });
+    }
+});
+
+// Show a job exactly as students will see it, whatever its status
+router.get("/jobs/:jobId/preview", async (req, res) => {
+    try {
+        const job = await Job.findOne({ _id: req.params.jobId, companyId: req.session.user._id });
+        if (!job) {
+            return res.status(404).render("pages/error", { error: "Job not found" });
+        }
+
+        res.render("pages/student/job-details", {
+            user: req.session.user,
+            job,
+            preview: {
+                statusLabel: JOB_STATUS_LABELS[job.status],
+                publishAt: job.publishAt,
+                backLink: `/company/jobs?tab=${jobTab(job)}`
+            },
+            hasApplied: false,
+            eligibilityCheck: { eligible: true, reasons: [] },
+            resumes: []
+        });
+    } catch (err) {
+        console.error('Preview Job Error:', err);
+        res.render("pages/error", { error: "Failed to load job preview" });
+    }
+});
+
 // Edit job
 router.get("/jobs/:jobId/edit", async (req, res) => {
     try {
@@ -289,44 +604,73 @@ router.post("/jobs/:jobId/edit", async (req, res) => {
 
         // Convert skills from comma-separated string to array
         const skillsArray = req.body.skillsRequired ? req.body.skillsRequired.split(',').map(skill => skill.trim()).filter(skill => skill) : [];
-        
-        // Format salary with period if provided
-        let salary = req.body.salary || '';
-        if (req.body.salaryPeriod) {
-            salary = `₹${salary} ${req.body.salaryPeriod}`;
-        }
-
-        // Format eligibility with CGPA if provided
-        let eligibility = req.body.eligibility || '';
-        if (req.body.minCGPA) {
-            eligibility += ` (Min CGPA: ${req.body.minCGPA})`;
-        }
 
-        const job = await Job.findOneAndUpdate(
-            { _id: req.params.jobId, companyId: req.session.user._id },
-            {
-                title: req.body.title,
-                description: description,
-                type: jobType,
-                location: req.body.location,
-                salary: salary,
-                eligibility: eligibility,
-                skillsRequired: skillsArray,
-                deadline: new Date(req.body.deadline),
-                status: req.body.status || 'active'
-            },
-            { new: true }
-        );
+        const job = await Job.findOne({ _id: req.params.jobId, companyId: req.session.user._id });
 
         if (!job) {
             return res.status(404).render("pages/error", { error: "Job not found" });
         }
 
-        res.redirect("/company/jobs?success=Job+updated+successfully");
+        const reviewedBefore = job.reviewedFields();
+
+        // Saved through the document so the compensation hooks run
+        job.set({
+            title: req.body.title,
+            description: description,
+            type: jobType,
+            location: req.body.location,
+            compensation: buildCompensation(req.body),
+            eligibility: req.body.eligibility || '',
+            eligibilityCriteria: buildEligibilityCriteria(req.body),
+            skillsRequired: skillsArray,
+            roundTemplate: buildRoundTemplate(req.body),
+            deadline: new Date(req.body.deadline)
+        });
+        if (SCHEDULABLE_STATUSES.includes(job.status)) {
+            job.set("publishAt", buildPublishAt(req.body));
+        }
+        await job.validate();
+
+        // Published and scheduled jobs go back to review when salary or
+        // eligibility change; a scheduled job whose publish time was
+        // cleared or moved into the past is published now
+        const actor = { actor: user._id, role: "company" };
+        let submitted = false;
+        if (req.body.action === "submit" && job.canTransitionTo("pending")) {
+            job.changeStatus("pending", { ...actor, comment: "Submitted for review" });
+            submitted = true;
+        } else if (job.status === "published" && req.body.status === "closed") {
+            job.changeStatus("closed", actor);
+        } else if (["published", "scheduled"].includes(job.status) && job.reviewedFields() !== reviewedBefore) {
+            job.changeStatus("pending", { ...actor, comment: "Salary or eligibility changed" });
+            submitted = true;
+        } else if (job.status === "scheduled" && job.approvedStatus() === "published") {
+            job.changeStatus("published", { ...actor, comment: "Published ahead of schedule" });
+        }
+        await job.save();
+        if (submitted) {
+            await notifyJobSubmitted(job);
+        }
+
+        const applicantIds = await Application.distinct("studentId", { jobId: job._id });
+        await Notification.send(applicantIds, {
+            type: "job_updated",
+            title: `${job.title} was updated`,
+            message: `${job.companyName} updated the details of ${job.title}.`,
+            link: `/student/jobs/${job._id}`
+        });
+
+        res.redirect(`/company/jobs?tab=${jobTab(job)}&success=${encodeURIComponent(submitted ? "Job updated and sent for review" : "Job updated successfully")}`);
     } catch (err) {
         console.error('Edit Job Error:', err);
         res.render("pages/company/edit-job", {
-            job: req.body,
+            job: {
+                ...req.body,
+                _id: req.params.jobId,
+                compensation: buildCompensation(req.body),
+                eligibilityCriteria: buildEligibilityCriteria(req.body),
+                roundTemplate: buildRoundTemplate(req.body)
+            },
             user: req.session.user,
             error: "Failed to update job: " + (err.message || 'Unknown error')
         });
@@ -345,11 +689,16 @@ router.delete("/jobs/:jobId", async (req, res) => {
             return res.status(404).json({ error: "Job not found" });
         }
 
-        // Delete all applications for this job
-        await Application.deleteMany({ jobId: req.params.jobId });
-        
-        // Delete the job
-        await Job.findByIdAndDelete(req.params.jobId);
+        const applicantIds = await Application.distinct("studentId", { jobId: job._id });
+
+        // Delete the job with its applications, offers and interview slots
+        await deleteJobs([job._id]);
+
+        await Notification.send(applicantIds, {
+            type: "job_deleted",
+            title: `${job.title} was removed`,
+            message: `${job.companyName} removed ${job.title}; your application for it has been withdrawn.`
+        });
         
         res.json({ message: "Job deleted successfully" });
     } catch (err) {
@@ -358,6 +707,28 @@ router.delete("/jobs/:jobId", async (req, res) => {
     }
 });
 
+// Applicant list filters a company may use: status, student search and
+// profile filters, skills and sorting by fit score
+const applicantFilters = (query) => ({ ...parseListFilters(query), companyId: "" });
+
+// Fields of the student profile that screening looks at
+const SCREENING_FIELDS = "name email rollNumber branch year cgpa skills graduationYear activeBacklogs gender";
+
+// A job's applications matching the filters, scored and in list order
+const screenedApplications = async (job, filters) => {
+    const applications = await Application.find(await buildApplicationFilter(filters, { jobId: job._id }))
+        .populate("studentId", SCREENING_FIELDS)
+        .sort({ appliedDate: -1 });
+    return screenApplications(applications, job, filters);
+};
+
+// Every applicant column except the company, which is always the viewer,
+// plus the fit score from `scores`
+const applicantColumns = (scores = {}) => [
+    ...APPLICATION_COLUMNS.filter(column => column.key !== "company"),
+    { key: "score", header: "Fit Score", value: (app) => scores[app._id.toString()]?.score }
+];
+
 // View job applications
 router.get("/jobs/:jobId/applications", async (req, res) => {
     try {
@@ -370,20 +741,114 @@ router.get("/jobs/:jobId/applications", async (req, res) => {
             return res.status(404).render("pages/error", { error: "Job not found" });
         }
 
-        const applications = await Application.find({ jobId: req.params.jobId })
-            .populate("studentId")
-            .sort({ appliedDate: -1 });
+        const filters = applicantFilters(req.query);
+        const { applications, scores } = await screenedApplications(job, filters);
+
+        const offers = await Offer.find({ jobId: job._id });
+        const offersByApplication = Object.fromEntries(
+            offers.map(offer => [offer.applicationId.toString(), offer])
+        );
 
         res.render("pages/company/job-applications", {
             job,
             applications,
-            user: req.session.user
+            offersByApplication,
+            scores,
+            filters,
+            presetQuery: toQueryString(filters),
+            statuses: APPLICATION_STATUSES,
+            sorts: APPLICANT_SORTS,
+            exportColumns: applicantColumns(),
+            user: req.session.user,
+            success: req.query.success,
+            error: req.query.error
         });
     } catch (err) {
         res.render("pages/error", { error: "Failed to load applications" });
     }
 });
 
+// Download the (filtered) applicants of a job as CSV or XLSX, in the same
+// order as the list. Loaded in full, since screening needs every applicant
+// before it can sort.
+router.get("/jobs/:jobId/applications/export", async (req, res) => {
+    try {
+        const job = await Job.findOne({
+            _id: req.params.jobId,
+            companyId: req.session.user._id
+        });
+
+        if (!job) {
+            return res.status(404).render("pages/error", { error: "Job not found" });
+        }
+
+        const { applications, scores } = await screenedApplications(job, applicantFilters(req.query));
+        applications.forEach(application => { application.jobId = job; });
+
+        await sendExport(res, {
+            format: EXPORT_FORMATS.includes(req.query.format) ? req.query.format : "csv",
+            filename: `applicants-${job.title.replace(/[^\w-]+/g, "-").toLowerCase()}`,
+            sheetName: "Applicants",
+            columns: selectColumns(applicantColumns(scores), req.query.columns),
+            rows: applications
+        });
+    } catch (err) {
+        console.error('Export Applicants Error:', err);
+        if (res.headersSent) return res.end();
+        res.render("pages/error", { error: "Failed to export applicants" });
+    }
+});
+
+// Save the applicant list's current filters under a name
+router.post("/jobs/:jobId/presets", async (req, res) => {
+    try {
+        const job = await Job.findOne({ _id: req.params.jobId, companyId: req.session.user._id });
+        if (!job) {
+            return res.status(404).render("pages/error", { error: "Job not found" });
+        }
+
+        // Parsed again so only recognised filters are kept
+        const query = toQueryString(applicantFilters(Object.fromEntries(new URLSearchParams(req.body.query || ""))));
+        const back = `/company/jobs/${job._id}/applications?${query}`;
+        const name = (req.body.name || "").trim();
+        if (!name) {
+            return res.redirect(`${back}&error=Give+the+preset+a+name`);
+        }
+
+        const existing = job.screeningPresets.find(preset => preset.name.toLowerCase() === name.toLowerCase());
+        if (existing) {
+            existing.query = query;
+        } else if (job.screeningPresets.length >= MAX_SCREENING_PRESETS) {
+            return res.redirect(`${back}&error=${encodeURIComponent(`A job can have at most ${MAX_SCREENING_PRESETS} presets`)}`);
+        } else {
+            job.screeningPresets.push({ name, query });
+        }
+        await job.save();
+
+        res.redirect(`${back}&success=${encodeURIComponent(`Preset "${name}" saved`)}`);
+    } catch (err) {
+        console.error('Save Preset Error:', err);
+        res.redirect(`/company/jobs/${req.params.jobId}/applications?error=Failed+to+save+preset`);
+    }
+});
+
+router.delete("/jobs/:jobId/presets/:presetId", async (req, res) => {
+    try {
+        const job = await Job.findOneAndUpdate(
+            { _id: req.params.jobId, companyId: req.session.user._id, "screeningPresets._id": req.params.presetId },
+            { $pull: { screeningPresets: { _id: req.params.presetId } } }
+        );
+        if (!job) {
+            return res.status(404).json({ error: "Preset not found" });
+        }
+
+        res.json({ message: "Preset deleted" });
+    } catch (err) {
+        console.error('Delete Preset Error:', err);
+        res.status(500).json({ error: "Failed to delete preset" });
+    }
+});
+
 // Update application status
 router.post("/applications/:applicationId/status", async (req, res) => {
     try {
@@ -393,26 +858,43 @@ router.post("/applications/:applicationId/status", async (req, res) => {
         if (!application || application.jobId.companyId.toString() !== req.session.user._id.toString()) {
             return res.status(404).json({ error: "Application not found" });
         }
+        if (durationTooLong(req.body)) {
+            return res.status(400).json({ error: DURATION_ERROR });
+        }
+
+        const status = (req.body.status || '').toLowerCase();
+        if (!application.canTransitionTo(status)) {
+            return res.status(400).json({
+                error: `Cannot change status from ${application.status} to ${status || 'an empty status'}`,
+                allowed: application.allowedTransitions()
+            });
+        }
 
-        application.status = req.body.status.toLowerCase();
+        application.changeStatus(status, {
+            actor: req.session.user._id,
+            role: 'company',
+            note: req.body.note
+        });
         
-        // If shortlisting and interview details provided, save them
-        if (req.body.status === "shortlisted" || req.body.status === "Shortlisted") {
+        // On shortlisting, set up the job's interview rounds and schedule
+        // the first one if interview details were provided
+        let scheduledRound;
+        if (status === "shortlisted") {
+            application.applyRoundTemplate(application.jobId.roundTemplate);
             if (req.body.interviewDate) {
-                application.interviewDate = new Date(req.body.interviewDate);
-            }
-            if (req.body.interviewMode) {
-                application.interviewMode = req.body.interviewMode;
-            }
-            if (req.body.interviewLocation) {
-                application.interviewLocation = req.body.interviewLocation;
-            }
-            if (req.body.interviewLink) {
-                application.interviewLink = req.body.interviewLink;
+                scheduledRound = application.roundToSchedule();
+                applyRoundSchedule(scheduledRound, req.body);
+                if (await rejectClashes(req, res, application, scheduledRound)) return;
             }
         }
 
         await application.save();
+
+        await notifyStatusChange(application, status);
+        if (scheduledRound) {
+            await notifyInterviewScheduled(application, scheduledRound);
+        }
+
         res.json({ message: "Application status updated successfully" });
     } catch (err) {
         console.error('Update Status Error:', err);
@@ -420,7 +902,269 @@ router.post("/applications/:applicationId/status", async (req, res) => {
     }
 });
 
-// Schedule an interview
+// Expected failures of a bulk action, reported per applicant
+const bulkError = (message) => {
+    const error = new Error(message);
+    error.name = "BulkActionError";
+    return error;
+};
+
+// Run `action` on each application separately and in order, so one
+// failure never undoes the others. Each application is saved on its own.
+const runBulk = async (applications, action) => {
+    const result = { succeeded: [], failed: [] };
+    for (const application of applications) {
+        try {
+            await action(application);
+            result.succeeded.push(application._id);
+        } catch (err) {
+            const expected = ["BulkActionError", "InvalidTransitionError", "SlotBookingError"].includes(err.name);
+            if (!expected) {
+                console.error('Bulk Action Error:', err);
+            }
+            result.failed.push({
+                applicationId: application._id,
+                error: expected ? err.message : "Unexpected error, please try again"
+            });
+        }
+    }
+    return result;
+};
+
+// Legacy single interviews become the first round
+const ensureRounds = (application) => {
+    application.applyRoundTemplate(application.jobId.roundTemplate);
+    if (application.rounds.length === 0 && application.interviewDate) {
+        application.rounds.push(application.convertedLegacyRound());
+    }
+};
+
+// Back-to-back interview times from rangeStart until rangeEnd
+const scheduleTimes = (body) => {
+    const start = new Date(body.rangeStart);
+    const end = new Date(body.rangeEnd);
+    const duration = parseInt(body.durationMinutes) || 30;
+    if (isNaN(start) || isNaN(end) || end <= start) return [];
+
+    const times = [];
+    for (let at = start.getTime(); at + duration * 60 * 1000 <= end.getTime(); at += duration * 60 * 1000) {
+        times.push(new Date(at));
+    }
+    return times;
+};
+
+const BULK_ACTIONS = ["shortlist", "shortlist-top", "reject", "advance", "schedule", "message", "reject-remaining"];
+
+// Apply one action to many applicants of a job. Responds with the ids that
+// succeeded and a reason for each one that failed.
+router.post("/jobs/:jobId/applications/bulk", async (req, res) => {
+    try {
+        const job = await Job.findOne({ _id: req.params.jobId, companyId: req.session.user._id });
+        if (!job) {
+            return res.status(404).json({ error: "Job not found" });
+        }
+
+        const { action } = req.body;
+        if (!BULK_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `Action must be one of: ${BULK_ACTIONS.join(", ")}` });
+        }
+
+        let applications;
+        const missing = [];
+        if (action === "reject-remaining") {
+            if (!["closed", "rejected"].includes(job.status) && job.deadline > new Date()) {
+                return res.status(400).json({ error: "Close the job or wait for its deadline before rejecting the remaining applicants" });
+            }
+            applications = await Application.find({ jobId: job._id, status: { $in: ["pending", "shortlisted"] } })
+                .populate("jobId");
+        } else if (action === "shortlist-top") {
+            // The best-scoring pending applicants among those the filters match
+            const count = parseInt(req.body.count);
+            if (!(count > 0)) {
+                return res.status(400).json({ error: "Give how many applicants to shortlist" });
+            }
+            const filters = applicantFilters(Object.fromEntries(new URLSearchParams(req.body.query || "")));
+            const { applications: ranked } = await screenedApplications(job, { ...filters, status: "pending", sort: "score" });
+            const ids = ranked.slice(0, count).map(application => application._id.toString());
+            applications = (await Application.find({ _id: { $in: ids } }).populate("jobId"))
+                .sort((a, b) => ids.indexOf(a._id.toString()) - ids.indexOf(b._id.toString()));
+        } else {
+            const ids = [].concat(req.body.applicationIds || []).map(String);
+            if (ids.length === 0) {
+                return res.status(400).json({ error: "Select at least one applicant" });
+            }
+            applications = await Application.find({ _id: { $in: ids }, jobId: job._id })
+                .populate("jobId");
+            const found = applications.map(application => application._id.toString());
+            ids.filter(id => !found.includes(id))
+                .forEach(id => missing.push({ applicationId: id, error: "Application not found" }));
+        }
+
+        const actor = { actor: req.session.user._id, role: "company", note: req.body.note };
+        let result;
+
+        switch (action) {
+            case "shortlist":
+            case "shortlist-top":
+                result = await runBulk(applications, async (application) => {
+                    application.changeStatus("shortlisted", actor);
+                    application.applyRoundTemplate(job.roundTemplate);
+                    await application.save();
+                    await notifyStatusChange(application, "shortlisted");
+                });
+                break;
+
+            case "reject":
+            case "reject-remaining":
+                result = await runBulk(applications, async (application) => {
+                    application.changeStatus("rejected", {
+                        ...actor,
+                        note: action === "reject-remaining" ? req.body.note || "Job closed" : req.body.note
+                    });
+                    await application.save();
+                    await notifyStatusChange(application, "rejected");
+                });
+                break;
+
+            case "advance":
+                // Mark the current round cleared so the next one is up
+                result = await runBulk(applications, async (application) => {
+                    if (application.status !== "shortlisted") {
+                        throw bulkError("Only shortlisted applicants can move to the next round");
+                    }
+                    ensureRounds(application);
+                    const round = application.rounds.find(r => r.outcome === "pending");
+                    if (!round) {
+                        throw bulkError("No pending interview round");
+                    }
+                    round.outcome = "cleared";
+                    const next = application.rounds.find(r => r.outcome === "pending");
+                    await application.save();
+
+                    await Notification.send(application.studentId, {
+                        type: "status_changed",
+                        title: `${round.name} cleared`,
+                        message: next
+                            ? `You cleared ${round.name} for ${job.title}. Next up: ${next.name}.`
+                            : `You cleared ${round.name} for ${job.title}.`,
+                        link: `/student/applications/${application._id}`
+                    });
+                });
+                break;
+
+            case "schedule": {
+                // Give each applicant the first free time in the range that does
+                // not clash with their other interviews or the panel
+                if (durationTooLong(req.body)) {
+                    return res.status(400).json({ error: DURATION_ERROR });
+                }
+                const times = scheduleTimes(req.body);
+                if (times.length === 0) {
+                    return res.status(400).json({ error: "Give a time range that fits at least one interview" });
+                }
+                if (new Date(req.body.rangeStart) <= new Date()) {
+                    return res.status(400).json({ error: "The time range must be in the future" });
+                }
+
+                result = await runBulk(applications, async (application) => {
+                    if (application.status !== "shortlisted") {
+                        throw bulkError("Only shortlisted applicants can be scheduled");
+                    }
+                    ensureRounds(application);
+                    const round = application.roundToSchedule();
+
+                    let slotIndex = -1;
+                    for (let i = 0; i < times.length && slotIndex === -1; i++) {
+                        applyRoundSchedule(round, { ...req.body, interviewDate: times[i] });
+                        if ((await findClashes(application, round)).length === 0) {
+                            slotIndex = i;
+                        }
+                    }
+                    if (slotIndex === -1) {
+                        throw bulkError("No clash-free time left in the range");
+                    }
+
+                    if (round.slotId) {
+                        await InterviewSlot.release(round.slotId, application._id);
+                        round.slotId = undefined;
+                    }
+                    round.clashOverride = undefined;
+                    await application.save();
+                    times.splice(slotIndex, 1);
+                    await notifyInterviewScheduled(application, round);
+                });
+                break;
+            }
+
+            case "message": {
+                const subject = (req.body.subject || "").trim();
+                const message = (req.body.message || "").trim();
+                if (!subject || !message) {
+                    return res.status(400).json({ error: "Subject and message are required" });
+                }
+
+                const students = await User.find({ _id: { $in: applications.map(a => a.studentId) } }, "name email");
+                result = await runBulk(applications, async (application) => {
+                    const student = students.find(s => s._id.equals(application.studentId));
+                    if (!student) {
+                        throw bulkError("Student account no longer exists");
+                    }
+                    await Notification.send(student._id, {
+                        type: "company_message",
+                        title: `${job.companyName}: ${subject}`,
+                        message,
+                        link: `/student/applications/${application._id}`
+                    });
+                    await queueEmailSafely("company-message", student.email, {
+                        name: student.name,
+                        companyName: job.companyName,
+                        jobTitle: job.title,
+                        subject,
+                        message,
+                        link: `/student/applications/${application._id}`
+                    });
+                });
+                break;
+            }
+        }
+
+        const failed = [...missing, ...result.failed];
+        res.json({
+            message: `${result.succeeded.length} applicant${result.succeeded.length === 1 ? "" : "s"} updated` +
+                (failed.length > 0 ? `, ${failed.length} failed` : ""),
+            succeeded: result.succeeded,
+            failed
+        });
+    } catch (err) {
+        console.error('Bulk Applications Error:', err);
+        res.status(500).json({ error: "Failed to apply bulk action" });
+    }
+});
+
+// Time-limited link to an applicant's resume that works without an account,
+// e.g. for an external interviewer
+router.post("/applications/:applicationId/resume-link", async (req, res) => {
+    try {
+        const application = await Application.findOne({ _id: req.params.applicationId, companyId: req.session.user._id });
+        if (!application || !parseDocumentUrl(application.resume)) {
+            return res.status(404).json({ error: "Resume not found" });
+        }
+
+        const hours = parseInt(req.body.hours) || 24;
+        if (hours < 1 || hours > MAX_SIGNED_LINK_HOURS) {
+            return res.status(400).json({ error: `Links can be valid for 1 to ${MAX_SIGNED_LINK_HOURS} hours` });
+        }
+
+        const link = signedDocumentUrl(application.resume, hours);
+        res.json({ url: link.url, expiresAt: link.expiresAt });
+    } catch (err) {
+        console.error('Resume Link Error:', err);
+        res.status(500).json({ error: "Failed to create resume link" });
+    }
+});
+
+// Schedule an interview round: the round given by roundId, otherwise the
+// next pending round (a new round is added when all rounds are finished)
 router.post("/applications/:applicationId/schedule-interview", async (req, res) => {
     try {
         const application = await Application.findById(req.params.applicationId)
@@ -430,41 +1174,298 @@ router.post("/applications/:applicationId/schedule-interview", async (req, res)
             return res.status(404).json({ error: "Application not found" });
         }
 
-        if (req.body.interviewDate) {
-            application.interviewDate = new Date(req.body.interviewDate);
+        if (durationTooLong(req.body)) {
+            return res.status(400).json({ error: DURATION_ERROR });
         }
-        if (req.body.interviewMode) {
-            application.interviewMode = req.body.interviewMode;
-        }
-        if (req.body.interviewLocation) {
-            application.interviewLocation = req.body.interviewLocation;
+
+        application.applyRoundTemplate(application.jobId.roundTemplate);
+        const round = application.roundToSchedule(req.body.roundId);
+        if (!round) {
+            return res.status(404).json({ error: "Interview round not found" });
         }
-        if (req.body.interviewLink) {
-            application.interviewLink = req.body.interviewLink;
+
+        applyRoundSchedule(round, req.body);
+        if (await rejectClashes(req, res, application, round)) return;
+
+        // A time set by the company replaces the slot the student booked
+        if (round.slotId && req.body.interviewDate) {
+            await InterviewSlot.release(round.slotId, application._id);
+            round.slotId = undefined;
         }
 
         await application.save();
-        res.json({ message: "Interview scheduled successfully" });
+        if (round.scheduledAt) {
+            await notifyInterviewScheduled(application, round);
+        }
+
+        res.json({ message: `${round.name} scheduled successfully` });
     } catch (err) {
         console.error('Schedule Interview Error:', err);
         res.status(500).json({ error: "Failed to schedule interview" });
     }
 });
 
-// View scheduled interviews
+// Add an interview round to an application
+router.post("/applications/:applicationId/rounds", async (req, res) => {
+    try {
+        const application = await Application.findById(req.params.applicationId)
+            .populate("jobId");
+
+        if (!application || application.jobId.companyId.toString() !== req.session.user._id.toString()) {
+            return res.status(404).json({ error: "Application not found" });
+        }
+
+        if (!req.body.name || !req.body.name.trim()) {
+            return res.status(400).json({ error: "Round name is required" });
+        }
+        if (durationTooLong(req.body)) {
+            return res.status(400).json({ error: DURATION_ERROR });
+        }
+
+        application.applyRoundTemplate(application.jobId.roundTemplate);
+        application.rounds.push({
+            name: req.body.name.trim(),
+            type: ROUND_TYPES.includes(req.body.type) ? req.body.type : 'other',
+            durationMinutes: parseInt(req.body.durationMinutes) || 60
+        });
+        const round = application.rounds[application.rounds.length - 1];
+        applyRoundSchedule(round, req.body);
+        if (await rejectClashes(req, res, application, round)) return;
+
+        await application.save();
+        if (round.scheduledAt) {
+            await notifyInterviewScheduled(application, round);
+        }
+
+        res.json({ message: "Interview round added successfully" });
+    } catch (err) {
+        console.error('Add Round Error:', err);
+        res.status(500).json({ error: "Failed to add interview round" });
+    }
+});
+
+// Record the outcome and feedback of an interview round
+router.post("/applications/:applicationId/rounds/:roundId/outcome", async (req, res) => {
+    try {
+        const application = await Application.findById(req.params.applicationId)
+            .populate("jobId");
+
+        if (!application || application.jobId.companyId.toString() !== req.session.user._id.toString()) {
+            return res.status(404).json({ error: "Application not found" });
+        }
+
+        const round = application.rounds.id(req.params.roundId);
+        if (!round) {
+            return res.status(404).json({ error: "Interview round not found" });
+        }
+
+        if (!ROUND_OUTCOMES.includes(req.body.outcome)) {
+            return res.status(400).json({ error: `Outcome must be one of: ${ROUND_OUTCOMES.join(', ')}` });
+        }
+
+        round.outcome = req.body.outcome;
+        if (req.body.feedback !== undefined) {
+            round.feedback = req.body.feedback;
+        }
+
+        await application.save();
+        res.json({ message: "Round outcome recorded successfully" });
+    } catch (err) {
+        console.error('Round Outcome Error:', err);
+        res.status(500).json({ error: "Failed to record round outcome" });
+    }
+});
+
+// Cancel a scheduled interview round; calendar feeds show it as cancelled
+router.post("/applications/:applicationId/rounds/:roundId/cancel", async (req, res) => {
+    try {
+        const application = await Application.findById(req.params.applicationId)
+            .populate("jobId");
+
+        if (!application || application.jobId.companyId.toString() !== req.session.user._id.toString()) {
+            return res.status(404).json({ error: "Application not found" });
+        }
+
+        const round = application.rounds.id(req.params.roundId);
+        if (!round || !round.scheduledAt) {
+            return res.status(404).json({ error: "Scheduled interview round not found" });
+        }
+        if (round.cancelledAt) {
+            return res.status(400).json({ error: "This interview round is already cancelled" });
+        }
+
+        round.cancelledAt = new Date();
+        if (round.slotId) {
+            await InterviewSlot.release(round.slotId, application._id);
+            round.slotId = undefined;
+        }
+        await application.save();
+
+        await Notification.send(application.studentId, {
+            type: "interview_scheduled",
+            title: `${round.name} cancelled`,
+            message: `${round.name} for ${application.jobId.title} on ${new Date(round.scheduledAt).toLocaleString()} has been cancelled.`,
+            link: "/student/interviews"
+        });
+
+        res.json({ message: `${round.name} cancelled` });
+    } catch (err) {
+        console.error('Cancel Round Error:', err);
+        res.status(500).json({ error: "Failed to cancel interview round" });
+    }
+});
+
+// Load an application owned by the logged in company for the offer pages
+const findOfferApplication = (applicationId, companyId) => Application.findOne({
+    _id: applicationId,
+    companyId
+})
+.populate("studentId", "name email")
+.populate("jobId");
+
+// Offer form for a hired application
+router.get("/applications/:applicationId/offer", async (req, res) => {
+    try {
+        const application = await findOfferApplication(req.params.applicationId, req.session.user._id);
+        if (!application || !application.jobId) {
+            return res.status(404).render("pages/error", { error: "Application not found" });
+        }
+
+        const offer = await Offer.findOne({ applicationId: application._id });
+
+        res.render("pages/company/offer", {
+            user: req.session.user,
+            application,
+            offer,
+            success: req.query.success,
+            error: req.query.error
+        });
+    } catch (err) {
+        console.error('Offer Form Error:', err);
+        res.render("pages/error", { error: "Failed to load offer" });
+    }
+});
+
+// Make or revise an offer. Only pending offers can be revised; without an
+// uploaded PDF the letter is generated from the offer details.
+router.post("/applications/:applicationId/offer", async (req, res) => {
+    const formUrl = `/company/applications/${req.params.applicationId}/offer`;
+    try {
+        const application = await findOfferApplication(req.params.applicationId, req.session.user._id);
+        if (!application || !application.jobId) {
+            return res.status(404).render("pages/error", { error: "Application not found" });
+        }
+        if (application.status !== "hired") {
+            return res.redirect(`${formUrl}?error=Offers+can+only+be+made+to+hired+applicants`);
+        }
+
+        let offer = await Offer.findOne({ applicationId: application._id });
+        if (offer && offer.currentStatus() !== "pending") {
+            return res.redirect(`${formUrl}?error=This+offer+has+already+been+${offer.currentStatus()}`);
+        }
+
+        const responseDeadline = new Date(req.body.responseDeadline);
+        if (isNaN(responseDeadline) || responseDeadline <= new Date()) {
+            return res.redirect(`${formUrl}?error=Response+deadline+must+be+in+the+future`);
+        }
+
+        const letterFile = req.files && req.files.letter;
+        if (letterFile && !letterFile.mimetype.includes("pdf")) {
+            return res.redirect(`${formUrl}?error=Only+PDF+files+are+allowed`);
+        }
+
+        if (!offer) {
+            offer = new Offer({
+                applicationId: application._id,
+                studentId: application.studentId._id,
+                companyId: req.session.user._id,
+                jobId: application.jobId._id
+            });
+        }
+        offer.set({
+            role: req.body.role,
+            ctc: parseFloat(req.body.ctc),
+            currency: req.body.currency || "INR",
+            location: req.body.location,
+            joiningDate: new Date(req.body.joiningDate),
+            responseDeadline
+        });
+        await offer.validate();
+
+        const uploadDir = documentDir("offers");
+        fs.mkdirSync(uploadDir, { recursive: true });
+        const fileName = `${offer._id}-${Date.now()}.pdf`;
+
+        // Keep an uploaded letter on revision unless a new one is provided
+        if (letterFile) {
+            await letterFile.mv(path.join(uploadDir, fileName));
+            offer.letter = documentUrl("offers", fileName);
+            offer.letterGenerated = false;
+        } else if (!offer.letter || offer.letterGenerated) {
+            const company = await User.findById(req.session.user._id);
+            await generateOfferLetter(offer, { student: application.studentId, company }, path.join(uploadDir, fileName));
+            offer.letter = documentUrl("offers", fileName);
+            offer.letterGenerated = true;
+        }
+
+        const isNewOffer = offer.isNew;
+        await offer.save();
+
+        await Notification.send(application.studentId._id, {
+            type: "offer_made",
+            title: isNewOffer ? `Offer from ${application.jobId.companyName}` : `Offer from ${application.jobId.companyName} updated`,
+            message: `${offer.role}, respond by ${offer.responseDeadline.toLocaleDateString()}.`,
+            link: `/student/applications/${application._id}`
+        });
+        if (isNewOffer) {
+            await queueEmailSafely("offer", application.studentId.email, {
+                name: application.studentId.name,
+                companyName: application.jobId.companyName,
+                role: offer.role,
+                ctc: formatMoney(offer.ctc, offer.currency),
+                location: offer.location,
+                joiningDate: offer.joiningDate,
+                responseDeadline: offer.responseDeadline,
+                link: `/student/applications/${application._id}`
+            });
+        }
+
+        res.redirect(`${formUrl}?success=Offer+saved+successfully`);
+    } catch (err) {
+        console.error('Save Offer Error:', err);
+        if (err.name === "ValidationError") {
+            return res.redirect(`${formUrl}?error=${encodeURIComponent(Object.values(err.errors).map(e => e.message).join(", "))}`);
+        }
+        res.render("pages/error", { error: "Failed to save offer" });
+    }
+});
+
+// View scheduled interviews, one row per round
 router.get("/interviews", async (req, res) => {
     try {
-        const interviews = await Application.find({
+        const applications = await Application.find({
             companyId: req.session.user._id,
-            interviewDate: { $ne: null }
+            $or: [
+                { "rounds.scheduledAt": { $ne: null } },
+                { interviewDate: { $ne: null } }
+            ]
         })
         .populate("studentId", "name")
-        .populate("jobId", "title")
-        .sort({ interviewDate: -1 });
+        .populate("jobId", "title");
+
+        const interviews = applications
+            .flatMap(application => application.interviewRounds()
+                .filter(round => round.scheduledAt)
+                .map(round => ({ application, round })))
+            .sort((a, b) => new Date(b.round.scheduledAt) - new Date(a.round.scheduledAt));
+
+        const company = await User.findById(req.session.user._id);
 
         res.render("pages/company/interviews", {
             user: req.session.user,
-            interviews
+            interviews,
+            roundOutcomes: ROUND_OUTCOMES,
+            calendarFeedUrl: calendarFeedUrl(await company.ensureCalendarToken())
         });
     } catch (err) {
         console.error('View Interviews Error:', err);
@@ -472,6 +1473,117 @@ router.get("/interviews", async (req, res) => {
     }
 });
 
+// Interview slots students can book, with a per-day roster of bookings.
+// ?date=YYYY-MM-DD shows a single day, otherwise every upcoming day.
+router.get("/interview-slots", async (req, res) => {
+    try {
+        const companyId = req.session.user._id;
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || "") ? req.query.date : "";
+
+        const filter = { companyId };
+        if (date) {
+            const dayStart = new Date(`${date}T00:00:00`);
+            filter.startsAt = { $gte: dayStart, $lt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) };
+        } else {
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+            filter.startsAt = { $gte: today };
+        }
+
+        const [jobs, slots] = await Promise.all([
+            Job.find({ companyId, status: "published" }, "title roundTemplate").sort({ createdAt: -1 }),
+            InterviewSlot.find(filter)
+                .populate("jobId", "title")
+                .populate("bookings.studentId", "name email")
+                .sort({ startsAt: 1 })
+        ]);
+
+        const roster = [];
+        slots.forEach(slot => {
+            const day = slot.startsAt.toDateString();
+            let entry = roster.find(r => r.day === day);
+            if (!entry) {
+                entry = { day, slots: [], booked: 0, capacity: 0 };
+                roster.push(entry);
+            }
+            entry.slots.push(slot);
+            entry.booked += slot.bookings.length;
+            entry.capacity += slot.capacity;
+        });
+
+        res.render("pages/company/interview-slots", {
+            user: req.session.user,
+            jobs,
+            roster,
+            date,
+            success: req.query.success,
+            error: req.query.error
+        });
+    } catch (err) {
+        console.error('Interview Slots Error:', err);
+        res.render("pages/error", { error: "Failed to load interview slots" });
+    }
+});
+
+// Publish one or more back-to-back interview slots for a job
+router.post("/interview-slots", async (req, res) => {
+    try {
+        const job = await Job.findOne({ _id: req.body.jobId, companyId: req.session.user._id });
+        if (!job) {
+            return res.redirect("/company/interview-slots?error=Job not found");
+        }
+
+        const startsAt = new Date(req.body.startsAt);
+        if (isNaN(startsAt) || startsAt <= new Date()) {
+            return res.redirect("/company/interview-slots?error=Slots must start in the future");
+        }
+
+        const durationMinutes = parseInt(req.body.durationMinutes) || 30;
+        if (durationMinutes > MAX_INTERVIEW_MINUTES) {
+            return res.redirect(`/company/interview-slots?error=Slots can be at most ${MAX_INTERVIEW_MINUTES / 60} hours long`);
+        }
+        const count = Math.min(Math.max(parseInt(req.body.count) || 1, 1), 20);
+        const slots = Array.from({ length: count }, (_, i) => ({
+            jobId: job._id,
+            companyId: job.companyId,
+            roundName: (req.body.roundName || "").trim(),
+            startsAt: new Date(startsAt.getTime() + i * durationMinutes * 60 * 1000),
+            durationMinutes,
+            capacity: parseInt(req.body.capacity) || 1,
+            mode: req.body.mode === "Offline" ? "Offline" : "Online",
+            location: req.body.location,
+            link: req.body.link,
+            cutoffHours: req.body.cutoffHours !== undefined && req.body.cutoffHours !== "" ? parseFloat(req.body.cutoffHours) : 24
+        }));
+
+        await InterviewSlot.insertMany(slots);
+        res.redirect(`/company/interview-slots?success=${count} interview slot${count > 1 ? "s" : ""} published`);
+    } catch (err) {
+        console.error('Create Interview Slots Error:', err);
+        res.redirect("/company/interview-slots?error=Failed to publish interview slots");
+    }
+});
+
+// Remove a slot nobody has booked yet
+router.delete("/interview-slots/:slotId", async (req, res) => {
+    try {
+        const slot = await InterviewSlot.findOne({ _id: req.params.slotId, companyId: req.session.user._id });
+        if (!slot) {
+            return res.status(404).json({ error: "Interview slot not found" });
+        }
+
+        // Checked in the delete itself so a booking made meanwhile is not lost
+        const removed = await InterviewSlot.findOneAndDelete({ _id: slot._id, "bookings.0": { $exists: false } });
+        if (!removed) {
+            return res.status(400).json({ error: "Cancel the booked interviews before removing this slot" });
+        }
+        res.json({ message: "Interview slot removed" });
+    } catch (err) {
+        console.error('Delete Interview Slot Error:', err);
+        res.status(500).json({ error: "Failed to remove interview slot" });
+    }
+});
+
 // View all applications for the company
 router.get("/applications", async (req, res) => {
     try {
@@ -0,0 +1,86 @@
+import express from "express";
+import Application from "../models/Application.js";
+import Offer from "../models/Offer.js";
+import Resume from "../models/Resume.js";
+import User from "../models/User.js";
+import { DOCUMENT_KINDS, documentUrl, documentPath, verifySignedLink } from "../utils/documents.js";
+
+const router = express.Router();
+
+// Whether a logged-in user may open a document: students their own files,
+// companies resumes sent to them, their own offer letters and verification
+// proof, admins all
+const canAccess = async (user, kind, filename) => {
+    if (user.role === "admin") {
+        return true;
+    }
+
+    const url = documentUrl(kind, filename);
+    if (kind === "resumes" && user.role === "student") {
+        const [profile, library, applied] = await Promise.all([
+            User.exists({ _id: user._id, resume: url }),
+            Resume.exists({ studentId: user._id, "versions.file": url }),
+            Application.exists({ studentId: user._id, resume: url })
+        ]);
+        return Boolean(profile || library || applied);
+    }
+    if (kind === "resumes" && user.role === "company") {
+        return Boolean(await Application.exists({ companyId: user._id, resume: url }));
+    }
+    if (kind === "verification" && user.role === "company") {
+        return Boolean(await User.exists({ _id: user._id, "verification.document": url }));
+    }
+    if (kind === "offers" && ["student", "company"].includes(user.role)) {
+        const owner = user.role === "student" ? { studentId: user._id } : { companyId: user._id };
+        return Boolean(await Offer.exists({ ...owner, letter: url }));
+    }
+    return false;
+};
+
+// Serve a stored document to someone allowed to see it, or to anyone
+// holding a valid signed link. ?download=1 saves instead of opening it.
+router.get("/files/:kind/:filename", async (req, res) => {
+    try {
+        const { kind, filename } = req.params;
+        const filePath = documentPath(kind, filename);
+        if (!filePath) {
+            return res.status(404).render("pages/error", { error: "Document not found" });
+        }
+
+        if (req.query.signature !== undefined) {
+            if (!verifySignedLink(kind, filename, req.query)) {
+                return res.status(403).render("pages/error", { error: "This link has expired or is not valid" });
+            }
+        } else if (!req.session?.user) {
+            return res.redirect("/auth/login");
+        } else if (!(await canAccess(req.session.user, kind, filename))) {
+            return res.status(403).render("pages/error", { error: "You do not have access to this document" });
+        }
+
+        res.set("Cache-Control", "private, no-store");
+        res.set("X-Content-Type-Options", "nosniff");
+        const done = (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).render("pages/error", { error: "Document not found" });
+            }
+        };
+        if (req.query.download) {
+            return res.download(filePath, filename, done);
+        }
+        res.sendFile(filePath, done);
+    } catch (err) {
+        console.error('Document Download Error:', err);
+        res.status(500).render("pages/error", { error: "Failed to load document" });
+    }
+});
+
+// Documents used to be public under /uploads; keep old links working
+// behind the same access check
+router.get("/uploads/:kind/:filename", (req, res, next) => {
+    if (!DOCUMENT_KINDS.includes(req.params.kind)) {
+        return next();
+    }
+    res.redirect(301, documentUrl(req.params.kind, encodeURIComponent(req.params.filename)));
+});
+
+export default router;
@@ -0,0 +1,92 @@
+import express from "express";
+import { isAuthenticated } from "../middleware/authMiddleware.js";
+import Notification, { NOTIFICATION_TYPES } from "../models/Notification.js";
+import User from "../models/User.js";
+
+const router = express.Router();
+
+// Notifications are available to every logged in role
+router.use(isAuthenticated);
+
+// Notification centre page, or the bell menu's data when JSON is requested
+router.get("/", async (req, res) => {
+    try {
+        const userId = req.session.user._id;
+
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            const [notifications, unreadCount] = await Promise.all([
+                Notification.find({ userId }).sort({ createdAt: -1 }).limit(10),
+                Notification.unreadCount(userId)
+            ]);
+            return res.json({ notifications, unreadCount });
+        }
+
+        const [notifications, user] = await Promise.all([
+            Notification.find({ userId }).sort({ createdAt: -1 }).limit(100),
+            User.findById(userId, 'mutedNotifications')
+        ]);
+
+        res.render("pages/notifications", {
+            user: req.session.user,
+            notifications,
+            notificationTypes: NOTIFICATION_TYPES,
+            mutedNotifications: user?.mutedNotifications || [],
+            success: req.query.success
+        });
+    } catch (err) {
+        console.error('Notifications Error:', err);
+        res.render("pages/error", { error: "Failed to load notifications" });
+    }
+});
+
+// Mark every unread notification as read
+router.post("/read-all", async (req, res) => {
+    try {
+        await Notification.updateMany(
+            { userId: req.session.user._id, read: false },
+            { $set: { read: true, readAt: new Date() } }
+        );
+        res.json({ message: "All notifications marked as read", unreadCount: 0 });
+    } catch (err) {
+        console.error('Mark All Read Error:', err);
+        res.status(500).json({ error: "Failed to update notifications" });
+    }
+});
+
+// Mark a single notification as read
+router.post("/:notificationId/read", async (req, res) => {
+    try {
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.notificationId, userId: req.session.user._id },
+            { $set: { read: true, readAt: new Date() } },
+            { new: true }
+        );
+
+        if (!notification) {
+            return res.status(404).json({ error: "Notification not found" });
+        }
+
+        const unreadCount = await Notification.unreadCount(req.session.user._id);
+        res.json({ message: "Notification marked as read", unreadCount });
+    } catch (err) {
+        console.error('Mark Read Error:', err);
+        res.status(500).json({ error: "Failed to update notification" });
+    }
+});
+
+// Save which notification types the user wants to receive
+router.post("/preferences", async (req, res) => {
+    try {
+        const enabled = [].concat(req.body.enabled || []);
+        const mutedNotifications = Object.keys(NOTIFICATION_TYPES).filter(type => !enabled.includes(type));
+
+        await User.findByIdAndUpdate(req.session.user._id, { mutedNotifications });
+
+        res.redirect("/notifications?success=Notification+preferences+saved");
+    } catch (err) {
+        console.error('Notification Preferences Error:', err);
+        res.render("pages/error", { error: "Failed to save notification preferences" });
+    }
+});
+
+export default router;
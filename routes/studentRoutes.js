@@ -3,10 +3,38 @@ import { isStudent } from "../middleware/roleMiddleware.js";
 import Application from "../models/Application.js";
 import Job from "../models/Job.js";
 import User from "../models/User.js";
+import Offer from "../models/Offer.js";
+import InterviewSlot from "../models/InterviewSlot.js";
+import Notification from "../models/Notification.js";
+import { loadPlacementPolicy, evaluatePolicies, resolveTier } from "../utils/placementPolicy.js";
+import { parseJobSearch, buildJobSearch, toQueryString } from "../utils/jobSearch.js";
+import { recommendJobs } from "../utils/recommendations.js";
+import { formatMoney } from "../utils/salary.js";
+import { calendarFeedUrl } from "../utils/ical.js";
+import { findClashes } from "../utils/interviewClashes.js";
+import Resume, { MAX_RESUMES } from "../models/Resume.js";
+import { saveResumeFile, addVersion, syncDefaultResume, removeUnreferencedFiles, resumeForApplication, saveGeneratedResume, refreshGeneratedResumes } from "../utils/resumeLibrary.js";
+import { RESUME_TEMPLATES, BUILDER_SECTIONS, builderSections, renderResume } from "../utils/resumeBuilder.js";
+import { parseResume, loadSkillDictionary, suggestProfileUpdates, acceptedUpdates } from "../utils/resumeParser.js";
 import path from "path";
 
 const router = express.Router();
 
+// Profile updates suggested by the latest version of a resume
+const resumeSuggestions = async (student, resume) => {
+    const parsed = parseResume(resume.latestVersion()?.text, await loadSkillDictionary());
+    return suggestProfileUpdates(student, parsed);
+};
+
+// Where to go after uploading a resume: its suggested profile updates if
+// there are any to accept, otherwise `fallback`
+const afterResumeUpload = async (student, resume, fallback) => {
+    const suggestions = await resumeSuggestions(student, resume);
+    return suggestions.some(suggestion => !suggestion.readOnly)
+        ? `/student/resumes/${resume._id}/suggestions`
+        : fallback;
+};
+
 // Protect all student routes
 router.use(isStudent);
 
@@ -27,13 +55,17 @@ router.get('/dashboard', async (req, res) => {
         .sort({ appliedDate: -1 })
         .limit(5);
 
-        // Get recommended jobs
-        const recentJobs = await Job.find({ 
-            status: 'active',
-            deadline: { $gt: new Date() }
-        })
-        .sort({ createdAt: -1 })
-        .limit(6);
+        // Get recommended jobs: score every open job against the student's
+        // skills, branch/CGPA and the deadline, skipping ones already applied to
+        const [openJobs, appliedJobIds, student] = await Promise.all([
+            Job.find({ 
+                status: 'published',
+                deadline: { $gt: new Date() }
+            }),
+            Application.distinct('jobId', { studentId: user._id }),
+            User.findById(user._id)
+        ]);
+        const recommendedJobs = recommendJobs(openJobs, student, { appliedJobIds, limit: 6 });
 
         // Get application stats
         const stats = {
@@ -114,7 +146,7 @@ router.get('/dashboard', async (req, res) => {
         res.render('pages/student/dashboard', {
             user,
             recentApplications: mappedApplications,
-            recentJobs: recentJobs || [],
+            recommendedJobs,
             stats,
             profileCompletion: profileCompletion || 0,
             upcomingInterviews: mappedInterviews
@@ -129,7 +161,7 @@ router.get('/dashboard', async (req, res) => {
 router.get('/jobs/:jobId', async (req, res) => {
     try {
         const job = await Job.findById(req.params.jobId);
-        if (!job || job.status !== 'active') {
+        if (!job || job.status !== 'published') {
             return res.render('pages/error', { error: 'Job not found or no longer active' });
         }
 
@@ -139,10 +171,14 @@ router.get('/jobs/:jobId', async (req, res) => {
             jobId: job._id
         });
 
+        const student = await User.findById(req.session.user._id);
+
         res.render('pages/student/job-details', {
             user: req.session.user,
             job,
-            hasApplied: !!hasApplied
+            hasApplied: !!hasApplied,
+            eligibilityCheck: job.checkEligibility(student),
+            resumes: await Resume.forStudent(student)
         });
     } catch (err) {
         console.error(err);
@@ -150,20 +186,51 @@ router.get('/jobs/:jobId', async (req, res) => {
     }
 });
 
-// Jobs listing
+// Jobs listing with keyword search, filters, sorting and pagination.
+// Filters come from the query string; JSON requests get the same results.
 router.get('/jobs', async (req, res) => {
+    const wantsJson = req.xhr || req.headers.accept?.includes('application/json');
     try {
-        const jobs = await Job.find({ 
-            status: 'active',
-            deadline: { $gt: new Date() }
-        }).sort({ createdAt: -1 });
-        
+        const filters = parseJobSearch(req.query);
+        const { filter, sort } = buildJobSearch(filters);
+
+        const [total, jobs] = await Promise.all([
+            Job.countDocuments(filter),
+            Job.find(filter)
+                .sort(sort)
+                .skip((filters.page - 1) * filters.limit)
+                .limit(filters.limit)
+        ]);
+        const pagination = {
+            page: filters.page,
+            limit: filters.limit,
+            total,
+            totalPages: Math.max(Math.ceil(total / filters.limit), 1)
+        };
+
+        // Attach the eligibility result for the badge on each card
+        const student = await User.findById(req.session.user._id);
+        const jobsWithEligibility = jobs.map(job => ({
+            ...job.toObject(),
+            eligibilityCheck: job.checkEligibility(student)
+        }));
+
+        if (wantsJson) {
+            return res.json({ jobs: jobsWithEligibility, filters, pagination });
+        }
+
         res.render('pages/student/jobs', { 
             user: req.session.user,
-            jobs 
+            jobs: jobsWithEligibility,
+            filters,
+            pagination,
+            toQueryString
         });
     } catch (err) {
         console.error(err);
+        if (wantsJson) {
+            return res.status(500).json({ error: 'Error loading jobs' });
+        }
         res.render('pages/error', { error: 'Error loading jobs' });
     }
 });
@@ -177,13 +244,8 @@ router.post('/jobs/:jobId/apply', async (req, res) => {
             return res.status(401).json({ error: 'Please login to apply' });
         }
 
-        // Check if resume is uploaded
-        if (!user.resume) {
-            return res.status(400).json({ error: 'Please upload your resume before applying' });
-        }
-
         const job = await Job.findById(req.params.jobId);
-        if (!job || job.status !== 'active') {
+        if (!job || job.status !== 'published') {
             return res.status(404).json({ error: 'Job not found or no longer active' });
         }
 
@@ -202,16 +264,71 @@ router.post('/jobs/:jobId/apply', async (req, res) => {
             return res.status(400).json({ error: 'You have already applied to this job' });
         }
 
+        // Attach the chosen library resume, or the default one
+        const student = await User.findById(user._id);
+        let attached;
+        try {
+            attached = await resumeForApplication(student, req.body.resumeId);
+        } catch (err) {
+            if (err.name !== 'ResumeError') throw err;
+            return res.status(400).json({ error: err.message });
+        }
+
+        // Check the job's eligibility criteria against the student's record
+        const { eligible, reasons } = job.checkEligibility(student);
+        if (!eligible) {
+            return res.status(403).json({
+                error: `You are not eligible for this job: ${reasons.join('; ')}`,
+                reasons
+            });
+        }
+
+        // Check the placement cell's policies against the offers already accepted
+        const { policies } = await loadPlacementPolicy();
+        if (policies.length > 0) {
+            const acceptedOffers = await Offer.find({ studentId: user._id, status: 'accepted' })
+                .populate('jobId', 'tier')
+                .populate('companyId', 'tier');
+            const company = await User.findById(job.companyId, 'tier');
+
+            const blocked = evaluatePolicies(policies, {
+                jobTier: resolveTier(job, company),
+                jobCtc: job.compensation?.annualized?.max,
+                jobCurrency: job.compensation?.currency,
+                acceptedOffers: acceptedOffers.map(offer => ({
+                    tier: resolveTier(offer.jobId, offer.companyId),
+                    ctc: offer.ctc,
+                    currency: offer.currency
+                }))
+            });
+            if (blocked) {
+                return res.status(403).json({
+                    error: `Blocked by placement policy "${blocked.rule.name}": ${blocked.message}`,
+                    rule: blocked.rule
+                });
+            }
+        }
+
         const application = new Application({
             studentId: user._id,
             jobId: job._id,
             companyId: job.companyId,
             status: 'pending',
             appliedDate: new Date(),
-            resume: user.resume || ''
+            resume: attached.resume,
+            resumeText: attached.resumeText,
+            resumeVersion: attached.resumeVersion
         });
 
         await application.save();
+
+        await Notification.send(job.companyId, {
+            type: 'application_submitted',
+            title: `New application for ${job.title}`,
+            message: `${user.name} applied to ${job.title}.`,
+            link: `/company/jobs/${job._id}/applications`
+        });
+
         res.json({ message: 'Application submitted successfully' });
     } catch (err) {
         console.error('Apply Job Error:', err);
@@ -261,9 +378,13 @@ router.get('/applications/:applicationId', async (req, res) => {
             return res.render('pages/error', { error: 'Application not found' });
         }
 
+        const offer = await Offer.findOne({ applicationId: application._id });
+
         res.render('pages/student/application-details', {
             user: req.session.user,
-            application
+            application,
+            offer,
+            formatMoney
         });
     } catch (err) {
         console.error(err);
@@ -271,6 +392,39 @@ router.get('/applications/:applicationId', async (req, res) => {
     }
 });
 
+// Accept or decline the offer made on an application
+router.post('/applications/:applicationId/offer/respond', async (req, res) => {
+    try {
+        const offer = await Offer.findOne({
+            applicationId: req.params.applicationId,
+            studentId: req.session.user._id
+        });
+
+        if (!offer) {
+            return res.status(404).json({ error: 'Offer not found' });
+        }
+
+        const { decision, reason } = req.body;
+        if (!['accept', 'decline'].includes(decision)) {
+            return res.status(400).json({ error: 'Decision must be accept or decline' });
+        }
+
+        try {
+            offer.respond(decision === 'accept', reason);
+        } catch (err) {
+            if (err.name !== 'OfferClosedError') throw err;
+            await offer.save();
+            return res.status(400).json({ error: err.message });
+        }
+
+        await offer.save();
+        res.json({ message: decision === 'accept' ? 'Offer accepted' : 'Offer declined', status: offer.status });
+    } catch (err) {
+        console.error('Offer Response Error:', err);
+        res.status(500).json({ error: 'Failed to respond to offer' });
+    }
+});
+
 // Profile routes
 // Profile view
 router.get('/profile', (req, res) => {
@@ -284,22 +438,29 @@ router.get('/profile', (req, res) => {
 // Update profile information
 router.post('/profile', async (req, res) => {
     try {
+        // Branch, CGPA, graduation year, backlogs and gender decide job
+        // eligibility, so only the placement cell sets them (admin edit or
+        // roster import)
         const updates = {
             name: req.body.name,
-            branch: req.body.branch,
             year: parseInt(req.body.year),
             rollNumber: req.body.rollNumber,
-            cgpa: parseFloat(req.body.cgpa),
             phone: req.body.phone,
             dob: req.body.dob,
-            skills: req.body.skills?.split(',').map(s => s.trim()).filter(s => s) || []
+            skills: req.body.skills?.split(',').map(s => s.trim()).filter(s => s) || [],
+            links: {
+                linkedin: (req.body.linkedin || '').trim(),
+                github: (req.body.github || '').trim(),
+                portfolio: (req.body.portfolio || '').trim()
+            }
         };
 
-        const user = await User.findByIdAndUpdate(
+        const updated = await User.findByIdAndUpdate(
             req.session.user._id,
             updates,
             { new: true }
         );
+        const user = await refreshGeneratedResumes(updated);
 
         req.session.user = user.toObject();
         
@@ -321,54 +482,51 @@ router.post('/profile', async (req, res) => {
     }
 });
 
-// Update resume
+// Update resume: uploads a new version of the default library resume
 router.post('/profile/resume', async (req, res) => {
+    const wantsJson = req.xhr || req.headers.accept?.includes('application/json');
     try {
         if (!req.files || !req.files.resume) {
-            if (req.xhr || req.headers.accept?.includes('application/json')) {
+            if (wantsJson) {
                 return res.status(400).json({ success: false, message: 'No resume file uploaded' });
             }
             return res.redirect('/student/profile?error=No+resume+file+uploaded');
         }
 
-        const resumeFile = req.files.resume;
-        
-        // Validate file type
-        if (!resumeFile.mimetype.includes('pdf')) {
-            if (req.xhr || req.headers.accept?.includes('application/json')) {
-                return res.status(400).json({ success: false, message: 'Only PDF files are allowed' });
-            }
-            return res.redirect('/student/profile?error=Only+PDF+files+are+allowed');
-        }
-
-        // Generate unique filename
-        const filename = `${req.session.user._id}-${Date.now()}.pdf`;
-        const uploadPath = path.join(process.cwd(), 'public', 'uploads', 'resumes', filename);
-
-        // Move file to uploads directory
-        await resumeFile.mv(uploadPath);
+        const student = await User.findById(req.session.user._id);
+        const resumes = await Resume.forStudent(student);
+        const version = await saveResumeFile(student._id, req.files.resume);
 
-        // Update user record
-        const user = await User.findByIdAndUpdate(
-            req.session.user._id,
-            { 
-                resume: `/uploads/resumes/${filename}`,
-                resumeUpdatedAt: new Date()
-            },
-            { new: true }
-        );
+        // Generated resumes only change with the profile, so an upload goes
+        // to an uploaded resume and becomes the default
+        let resume = resumes.find(entry => entry.isDefault && !entry.template) || resumes.find(entry => !entry.template);
+        await Resume.updateMany({ studentId: student._id, template: { $in: Object.keys(RESUME_TEMPLATES) } }, { isDefault: false });
+        if (resume) {
+            resume.isDefault = true;
+            await addVersion(resume, version);
+        } else {
+            resume = await Resume.create({ studentId: student._id, name: 'My Resume', isDefault: true, versions: [{ ...version, number: 1 }] });
+        }
 
+        const user = await syncDefaultResume(student._id);
         req.session.user = user.toObject();
+        const redirectTo = await afterResumeUpload(student, resume, '/student/profile?success=Resume+updated+successfully');
         
-        if (req.xhr || req.headers.accept?.includes('application/json')) {
-            return res.json({ success: true, message: 'Resume updated successfully' });
+        if (wantsJson) {
+            return res.json({ success: true, message: 'Resume updated successfully', redirectTo });
         }
         
-        res.redirect('/student/profile?success=Resume+updated+successfully');
+        res.redirect(redirectTo);
     } catch (err) {
+        if (err.name === 'ResumeError') {
+            if (wantsJson) {
+                return res.status(400).json({ success: false, message: err.message });
+            }
+            return res.redirect(`/student/profile?error=${encodeURIComponent(err.message)}`);
+        }
         console.error(err);
         
-        if (req.xhr || req.headers.accept?.includes('application/json')) {
+        if (wantsJson) {
             return res.status(500).json({ success: false, message: 'Failed to upload resume' });
         }
         
@@ -428,34 +586,168 @@ router.post('/profile/picture', async (req, res) => {
     }
 });
 
+// Shortlisted applications whose next round can be booked through a
+// company's interview slots, with the slots still open for it
+const bookableSlots = async (studentId) => {
+    const applications = await Application.find({ studentId, status: 'shortlisted' })
+        .populate('jobId');
+
+    const slots = await InterviewSlot.find({
+        jobId: { $in: applications.map(a => a.jobId?._id).filter(Boolean) },
+        startsAt: { $gt: new Date() }
+    }).sort({ startsAt: 1 });
+
+    return applications
+        .filter(application => application.jobId)
+        .map(application => {
+            application.applyRoundTemplate(application.jobId.roundTemplate);
+            const round = application.bookableRound();
+            if (!round) return null;
+
+            const currentSlot = round.slotId ? slots.find(slot => slot._id.equals(round.slotId)) : null;
+            // The booked slot already took place or was removed
+            if (round.slotId && !currentSlot) return null;
+
+            return {
+                applicationId: application._id,
+                job: application.jobId,
+                roundName: round.name,
+                currentSlot,
+                canReschedule: !currentSlot || currentSlot.isBookingOpen(),
+                slots: slots.filter(slot => slot.jobId.equals(application.jobId._id)
+                    && slot.matchesRound(round)
+                    && slot.isBookingOpen()
+                    && (slot.seatsLeft() > 0 || slot === currentSlot))
+            };
+        })
+        .filter(entry => entry && (entry.currentSlot || entry.slots.length > 0));
+};
+
+// Book an interview slot, or switch to it from the slot booked before
+router.post('/interviews/slots/:slotId/book', async (req, res) => {
+    try {
+        const application = await Application.findOne({
+            _id: req.body.applicationId,
+            studentId: req.session.user._id
+        }).populate('jobId');
+
+        if (!application || !application.jobId) {
+            return res.status(404).json({ error: 'Application not found' });
+        }
+        if (application.status !== 'shortlisted') {
+            return res.status(400).json({ error: 'Only shortlisted applications can book interview slots' });
+        }
+
+        const slot = await InterviewSlot.findById(req.params.slotId);
+        if (!slot || !slot.jobId.equals(application.jobId._id)) {
+            return res.status(404).json({ error: 'Interview slot not found' });
+        }
+
+        application.applyRoundTemplate(application.jobId.roundTemplate);
+        const round = application.bookableRound();
+        if (!round || !slot.matchesRound(round)) {
+            return res.status(400).json({ error: 'This slot is not for your next interview round' });
+        }
+
+        const previousSlot = round.slotId ? await InterviewSlot.findById(round.slotId) : null;
+        if (previousSlot && previousSlot._id.equals(slot._id)) {
+            return res.status(400).json({ error: 'You have already booked this slot' });
+        }
+        if (previousSlot && !previousSlot.isBookingOpen()) {
+            return res.status(400).json({ error: 'Your current slot can no longer be rescheduled' });
+        }
+
+        round.scheduledAt = slot.startsAt;
+        round.durationMinutes = slot.durationMinutes;
+        round.mode = slot.mode;
+        round.location = slot.location;
+        round.link = slot.link;
+        round.slotId = slot._id;
+        round.cancelledAt = undefined;
+
+        const clashes = (await findClashes(application, round)).filter(clash => clash.type === 'student');
+        if (clashes.length > 0) {
+            const other = clashes[0].other;
+            return res.status(409).json({
+                error: `This slot overlaps with your ${other.roundName} for ${other.jobTitle} at ${other.start.toLocaleString()}`
+            });
+        }
+
+        await InterviewSlot.book(slot._id, {
+            applicationId: application._id,
+            studentId: application.studentId
+        });
+        try {
+            await application.save();
+        } catch (err) {
+            await InterviewSlot.release(slot._id, application._id);
+            throw err;
+        }
+        if (previousSlot) {
+            await InterviewSlot.release(previousSlot._id, application._id);
+        }
+
+        await Notification.send(application.companyId, {
+            type: 'interview_scheduled',
+            title: `${round.name} ${previousSlot ? 'rescheduled' : 'booked'}`,
+            message: `${req.session.user.name} booked the ${slot.startsAt.toLocaleString()} slot for ${application.jobId.title}.`,
+            link: '/company/interview-slots'
+        });
+
+        res.json({ message: `${round.name} booked for ${slot.startsAt.toLocaleString()}` });
+    } catch (err) {
+        if (err.name === 'SlotBookingError') {
+            return res.status(409).json({ error: err.message });
+        }
+        console.error('Book Interview Slot Error:', err);
+        res.status(500).json({ error: 'Failed to book interview slot' });
+    }
+});
+
 // Interviews page
 router.get('/interviews', async (req, res) => {
     try {
-        const interviews = await Application.find({
+        const applications = await Application.find({
             studentId: req.session.user._id,
-            interviewDate: { $ne: null }
+            $or: [
+                { 'rounds.scheduledAt': { $ne: null } },
+                { interviewDate: { $ne: null } }
+            ]
         })
-        .populate('jobId')
-        .sort({ interviewDate: 1 });
+        .populate('jobId');
 
-        // Map interviews to match template expectations
-        const mappedInterviews = interviews.map(interview => ({
-            _id: interview._id,
-            job: interview.jobId ? {
-                _id: interview.jobId._id,
-                title: interview.jobId.title,
-                companyName: interview.jobId.companyName
-            } : null,
-            scheduledAt: interview.interviewDate,
-            type: interview.interviewMode ? interview.interviewMode.toLowerCase() : 'offline',
-            meetingLink: interview.interviewLink,
-            location: interview.interviewLocation,
-            status: interview.status
-        }));
+        // One entry per scheduled round, soonest first
+        const mappedInterviews = applications
+            .flatMap(application => application.interviewRounds()
+                .filter(round => round.scheduledAt)
+                .map(round => ({
+                    _id: application._id,
+                    roundId: round._id || 'legacy',
+                    cancelled: Boolean(round.cancelledAt),
+                    job: application.jobId ? {
+                        _id: application.jobId._id,
+                        title: application.jobId.title,
+                        companyName: application.jobId.companyName
+                    } : null,
+                    roundName: round.name,
+                    roundType: round.type,
+                    durationMinutes: round.durationMinutes,
+                    outcome: round.outcome,
+                    scheduledAt: round.scheduledAt,
+                    type: round.mode ? round.mode.toLowerCase() : 'offline',
+                    meetingLink: round.link,
+                    location: round.location,
+                    status: application.status
+                })))
+            .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+
+        const student = await User.findById(req.session.user._id);
 
         res.render('pages/student/interviews', {
             user: req.session.user,
-            interviews: mappedInterviews
+            interviews: mappedInterviews,
+            slotBookings: await bookableSlots(req.session.user._id),
+            calendarFeedUrl: calendarFeedUrl(await student.ensureCalendarToken())
         });
     } catch (err) {
         console.error(err);
@@ -463,11 +755,299 @@ router.get('/interviews', async (req, res) => {
     }
 });
 
-// Resume page
-router.get('/resume', (req, res) => {
-    res.render('pages/student/resume', {
-        user: req.session.user
-    });
+// Resume library: every named resume with its versions, and how many
+// applications were sent with each version
+router.get('/resume', async (req, res) => {
+    try {
+        const student = await User.findById(req.session.user._id);
+        const resumes = await Resume.forStudent(student);
+
+        const applications = await Application.find({ studentId: student._id }, 'resume resumeVersion');
+        const usage = {};
+        applications.forEach(application => {
+            const key = application.resumeVersion?.versionId?.toString() || application.resume;
+            usage[key] = (usage[key] || 0) + 1;
+        });
+
+        res.render('pages/student/resume', {
+            user: req.session.user,
+            resumes,
+            usage,
+            maxResumes: MAX_RESUMES,
+            success: req.query.success,
+            error: req.query.error
+        });
+    } catch (err) {
+        console.error(err);
+        res.render('pages/error', { error: 'Error loading resumes' });
+    }
+});
+
+// Resume builder: the extra profile sections generated resumes show, and
+// which templates the student has generated
+router.get('/resume/builder', async (req, res) => {
+    try {
+        const student = await User.findById(req.session.user._id);
+        const generated = await Resume.find({ studentId: student._id, template: { $in: Object.keys(RESUME_TEMPLATES) } });
+
+        res.render('pages/student/resume-builder', {
+            user: req.session.user,
+            student,
+            templates: RESUME_TEMPLATES,
+            sections: BUILDER_SECTIONS,
+            generated: Object.fromEntries(generated.map(resume => [resume.template, resume])),
+            success: req.query.success,
+            error: req.query.error
+        });
+    } catch (err) {
+        console.error(err);
+        res.render('pages/error', { error: 'Error loading resume builder' });
+    }
+});
+
+// Save education, projects and certifications; generated resumes follow
+router.post('/resume/builder', async (req, res) => {
+    try {
+        const updated = await User.findByIdAndUpdate(req.session.user._id, builderSections(req.body), { new: true });
+        const user = await refreshGeneratedResumes(updated);
+        req.session.user = user.toObject();
+        res.redirect('/student/resume/builder?success=Resume+details+saved');
+    } catch (err) {
+        console.error(err);
+        res.redirect('/student/resume/builder?error=Failed+to+save+resume+details');
+    }
+});
+
+// Render a template from the current profile without saving it
+router.get('/resume/builder/:template/preview', async (req, res) => {
+    try {
+        if (!RESUME_TEMPLATES[req.params.template]) {
+            return res.status(404).render('pages/error', { error: 'Resume template not found' });
+        }
+
+        const student = await User.findById(req.session.user._id);
+        res.set('Cache-Control', 'private, no-store');
+        res.type('pdf').send(await renderResume(student, req.params.template));
+    } catch (err) {
+        console.error(err);
+        res.render('pages/error', { error: 'Failed to render resume' });
+    }
+});
+
+// Add a template's resume to the library; from then on it is kept in step
+// with the profile and can be chosen when applying
+router.post('/resume/builder/:template', async (req, res) => {
+    try {
+        const { template } = req.params;
+        if (!RESUME_TEMPLATES[template]) {
+            return res.redirect('/student/resume/builder?error=Resume+template+not+found');
+        }
+
+        const student = await User.findById(req.session.user._id);
+        const resumes = await Resume.forStudent(student);
+        if (!resumes.some(resume => resume.template === template) && resumes.length >= MAX_RESUMES) {
+            return res.redirect(`/student/resume/builder?error=${encodeURIComponent(`You can keep at most ${MAX_RESUMES} resumes`)}`);
+        }
+
+        const resume = await saveGeneratedResume(student, template);
+        const user = await syncDefaultResume(student._id);
+        req.session.user = user.toObject();
+        res.redirect(`/student/resume?success=${encodeURIComponent(`${resume.name} is in your resumes`)}`);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.redirect('/student/resume/builder?error=A+resume+with+this+name+already+exists');
+        }
+        console.error(err);
+        res.redirect('/student/resume/builder?error=Failed+to+generate+resume');
+    }
+});
+
+// Add a named resume to the library
+router.post('/resumes', async (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        if (!name) {
+            return res.redirect('/student/resume?error=Give+the+resume+a+name');
+        }
+        if (!req.files || !req.files.resume) {
+            return res.redirect('/student/resume?error=No+resume+file+uploaded');
+        }
+
+        const student = await User.findById(req.session.user._id);
+        const resumes = await Resume.forStudent(student);
+        if (resumes.length >= MAX_RESUMES) {
+            return res.redirect(`/student/resume?error=${encodeURIComponent(`You can keep at most ${MAX_RESUMES} resumes`)}`);
+        }
+        if (resumes.some(resume => resume.name.toLowerCase() === name.toLowerCase())) {
+            return res.redirect('/student/resume?error=A+resume+with+this+name+already+exists');
+        }
+
+        const version = await saveResumeFile(student._id, req.files.resume);
+        const resume = await Resume.create({
+            studentId: student._id,
+            name,
+            isDefault: resumes.length === 0,
+            versions: [{ ...version, number: 1 }]
+        });
+
+        const user = await syncDefaultResume(student._id);
+        req.session.user = user.toObject();
+        res.redirect(await afterResumeUpload(student, resume, '/student/resume?success=Resume+added'));
+    } catch (err) {
+        if (err.name === 'ResumeError') {
+            return res.redirect(`/student/resume?error=${encodeURIComponent(err.message)}`);
+        }
+        if (err.code === 11000) {
+            return res.redirect('/student/resume?error=A+resume+with+this+name+already+exists');
+        }
+        console.error(err);
+        res.redirect('/student/resume?error=Failed+to+add+resume');
+    }
+});
+
+// Upload a new version of a resume; earlier versions stay in its history
+router.post('/resumes/:resumeId/versions', async (req, res) => {
+    try {
+        if (!req.files || !req.files.resume) {
+            return res.redirect('/student/resume?error=No+resume+file+uploaded');
+        }
+
+        const resume = await Resume.findOne({ _id: req.params.resumeId, studentId: req.session.user._id });
+        if (!resume) {
+            return res.redirect('/student/resume?error=Resume+not+found');
+        }
+        if (resume.template) {
+            return res.redirect('/student/resume?error=Generated+resumes+are+updated+from+your+profile');
+        }
+
+        await addVersion(resume, await saveResumeFile(req.session.user._id, req.files.resume));
+
+        const student = await User.findById(req.session.user._id);
+        const user = await syncDefaultResume(student._id);
+        req.session.user = user.toObject();
+        res.redirect(await afterResumeUpload(student, resume, `/student/resume?success=${encodeURIComponent(`${resume.name} updated`)}`));
+    } catch (err) {
+        if (err.name === 'ResumeError') {
+            return res.redirect(`/student/resume?error=${encodeURIComponent(err.message)}`);
+        }
+        console.error(err);
+        res.redirect('/student/resume?error=Failed+to+upload+resume');
+    }
+});
+
+// Review what the latest version of a resume would change on the profile
+router.get('/resumes/:resumeId/suggestions', async (req, res) => {
+    try {
+        const resume = await Resume.findOne({ _id: req.params.resumeId, studentId: req.session.user._id });
+        if (!resume) {
+            return res.render('pages/error', { error: 'Resume not found' });
+        }
+
+        const student = await User.findById(req.session.user._id);
+        res.render('pages/student/resume-suggestions', {
+            user: req.session.user,
+            resume,
+            suggestions: await resumeSuggestions(student, resume)
+        });
+    } catch (err) {
+        console.error(err);
+        res.render('pages/error', { error: 'Error loading resume suggestions' });
+    }
+});
+
+// Apply the suggestions the student ticked. They are worked out again here,
+// so only values actually found in the resume can be saved.
+router.post('/resumes/:resumeId/suggestions', async (req, res) => {
+    try {
+        const resume = await Resume.findOne({ _id: req.params.resumeId, studentId: req.session.user._id });
+        if (!resume) {
+            return res.redirect('/student/resume?error=Resume+not+found');
+        }
+
+        const student = await User.findById(req.session.user._id);
+        const update = acceptedUpdates(student, await resumeSuggestions(student, resume), req.body);
+        if (Object.keys(update).length === 0) {
+            return res.redirect('/student/profile?success=No+changes+made');
+        }
+
+        const updated = await User.findByIdAndUpdate(student._id, { $set: update }, { new: true });
+        const user = await refreshGeneratedResumes(updated);
+        req.session.user = user.toObject();
+        res.redirect('/student/profile?success=Profile+updated+from+your+resume');
+    } catch (err) {
+        console.error(err);
+        res.redirect('/student/profile?error=Failed+to+update+profile');
+    }
+});
+
+// Make a resume the one attached when applying without choosing
+router.post('/resumes/:resumeId/default', async (req, res) => {
+    try {
+        const resume = await Resume.findOne({ _id: req.params.resumeId, studentId: req.session.user._id });
+        if (!resume) {
+            return res.redirect('/student/resume?error=Resume+not+found');
+        }
+
+        await Resume.updateMany({ studentId: resume.studentId, _id: { $ne: resume._id } }, { isDefault: false });
+        resume.isDefault = true;
+        await resume.save();
+
+        const user = await syncDefaultResume(resume.studentId);
+        req.session.user = user.toObject();
+        res.redirect(`/student/resume?success=${encodeURIComponent(`${resume.name} is now your default resume`)}`);
+    } catch (err) {
+        console.error(err);
+        res.redirect('/student/resume?error=Failed+to+change+default+resume');
+    }
+});
+
+// Remove a resume from the library. Files sent with applications are kept.
+router.delete('/resumes/:resumeId', async (req, res) => {
+    try {
+        const resume = await Resume.findOneAndDelete({ _id: req.params.resumeId, studentId: req.session.user._id });
+        if (!resume) {
+            return res.status(404).json({ error: 'Resume not found' });
+        }
+
+        const user = await syncDefaultResume(resume.studentId);
+        req.session.user = user.toObject();
+        await removeUnreferencedFiles(resume.versions.map(version => version.file));
+
+        res.json({ message: 'Resume deleted' });
+    } catch (err) {
+        console.error('Delete Resume Error:', err);
+        res.status(500).json({ error: 'Failed to delete resume' });
+    }
+});
+
+// Remove one version from a resume's history. The last remaining version
+// can only go with the resume itself.
+router.delete('/resumes/:resumeId/versions/:versionId', async (req, res) => {
+    try {
+        const resume = await Resume.findOne({ _id: req.params.resumeId, studentId: req.session.user._id });
+        const version = resume?.versions.id(req.params.versionId);
+        if (!version) {
+            return res.status(404).json({ error: 'Resume version not found' });
+        }
+
+        // Checked in the update itself so two deletes cannot empty the history
+        const updated = await Resume.findOneAndUpdate(
+            { _id: resume._id, 'versions.1': { $exists: true } },
+            { $pull: { versions: { _id: version._id } } }
+        );
+        if (!updated) {
+            return res.status(400).json({ error: 'A resume needs at least one version; delete the resume instead' });
+        }
+
+        const user = await syncDefaultResume(resume.studentId);
+        req.session.user = user.toObject();
+        await removeUnreferencedFiles([version.file]);
+
+        res.json({ message: 'Version deleted' });
+    } catch (err) {
+        console.error('Delete Resume Version Error:', err);
+        res.status(500).json({ error: 'Failed to delete version' });
+    }
 });
 
 // Settings page
@@ -0,0 +1,26 @@
+// One-off migration: company accounts created before verification existed
+// are treated as already verified, and their job listings marked to match.
+// Run with `npm run migrate:company-verification`; running it again is harmless.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import User from "../models/User.js";
+import Job from "../models/Job.js";
+
+dotenv.config();
+await connectDB();
+
+const companies = await User.updateMany(
+  { role: "company", "verification.status": { $exists: false } },
+  { $set: { "verification.status": "approved", "verification.reviewedAt": new Date() } }
+);
+
+const approved = await User.distinct("_id", { role: "company", "verification.status": "approved" });
+const jobs = await Job.updateMany(
+  { companyId: { $in: approved }, companyVerified: { $ne: true } },
+  { $set: { companyVerified: true } }
+);
+
+console.log(`✅ Verified ${companies.modifiedCount} existing company account(s) and ${jobs.modifiedCount} job(s)`);
+
+await mongoose.disconnect();
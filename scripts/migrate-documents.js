@@ -0,0 +1,53 @@
+// One-off migration: move resumes and offer letters out of the public
+// static folder into storage/ and point records at the /files download
+// route. Run with `npm run migrate:documents`; running it again is harmless.
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import User from "../models/User.js";
+import Application from "../models/Application.js";
+import Resume from "../models/Resume.js";
+import Offer from "../models/Offer.js";
+import { DOCUMENT_KINDS, documentDir } from "../utils/documents.js";
+
+dotenv.config();
+await connectDB();
+
+let moved = 0;
+for (const kind of DOCUMENT_KINDS) {
+  const from = path.join(process.cwd(), "public", "uploads", kind);
+  const names = await fs.promises.readdir(from).catch(() => []);
+  await fs.promises.mkdir(documentDir(kind), { recursive: true });
+  for (const name of names) {
+    await fs.promises.rename(path.join(from, name), path.join(documentDir(kind), name));
+    moved++;
+  }
+}
+
+// Rewrite /uploads/<kind>/<file> to /files/<kind>/<file> in a string field
+const rewrite = (Model, field, kind) => Model.updateMany(
+  { [field]: new RegExp(`^/uploads/${kind}/`) },
+  [{ $set: { [field]: { $replaceOne: { input: `$${field}`, find: `/uploads/${kind}/`, replacement: `/files/${kind}/` } } } }]
+);
+
+const results = await Promise.all([
+  rewrite(User, "resume", "resumes"),
+  rewrite(Application, "resume", "resumes"),
+  rewrite(Offer, "letter", "offers")
+]);
+let updated = results.reduce((sum, result) => sum + result.modifiedCount, 0);
+
+const resumes = await Resume.find({ "versions.file": /^\/uploads\/resumes\// });
+for (const resume of resumes) {
+  resume.versions.forEach(version => {
+    version.file = version.file.replace(/^\/uploads\/resumes\//, "/files/resumes/");
+  });
+  await resume.save();
+  updated++;
+}
+
+console.log(`✅ Moved ${moved} file(s) and updated ${updated} record(s)`);
+
+await mongoose.disconnect();
@@ -0,0 +1,20 @@
+// One-off migration: sent emails used to keep their rendered bodies, which
+// include one-time links such as password resets. Clears the body of every
+// sent message. Run with `npm run migrate:email-bodies`; running it again is
+// harmless.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import EmailMessage from "../models/EmailMessage.js";
+
+dotenv.config();
+await connectDB();
+
+const result = await EmailMessage.updateMany(
+  { status: "sent", $or: [{ html: { $exists: true } }, { text: { $exists: true } }] },
+  { $unset: { html: "", text: "" } }
+);
+
+console.log(`✅ Cleared the body of ${result.modifiedCount} sent email(s)`);
+
+await mongoose.disconnect();
@@ -0,0 +1,26 @@
+// One-off migration: jobs posted before the review lifecycle existed were
+// live as soon as they were posted. "active" jobs become published and
+// "inactive" ones closed. Run with `npm run migrate:job-status`; running it
+// again is harmless.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import Job from "../models/Job.js";
+
+dotenv.config();
+await connectDB();
+
+const migrate = (from, to) => Job.updateMany(
+  { status: from },
+  {
+    $set: { status: to },
+    $push: { statusHistory: { from: null, to, role: "system", at: new Date(), comment: "Migrated from the previous job status" } }
+  }
+);
+
+const published = await migrate({ $in: ["active", null] }, "published");
+const closed = await migrate("inactive", "closed");
+
+console.log(`✅ Published ${published.modifiedCount} active job(s) and closed ${closed.modifiedCount} inactive job(s)`);
+
+await mongoose.disconnect();
@@ -0,0 +1,30 @@
+// One-off migration: parse the legacy free-text `salary` strings into the
+// structured `compensation` fields. Run with `npm run migrate:salaries`.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import Job from "../models/Job.js";
+import { parseSalary } from "../utils/salary.js";
+
+dotenv.config();
+await connectDB();
+
+const jobs = await Job.find({ "compensation.annualized.max": null }).lean();
+let migrated = 0;
+const skipped = [];
+
+for (const job of jobs) {
+  const compensation = parseSalary(job.salary, job.type);
+  if (!compensation) {
+    skipped.push(job);
+    continue;
+  }
+  // Update directly so the original salary text is kept as-is
+  await Job.updateOne({ _id: job._id }, { $set: { compensation } });
+  migrated++;
+}
+
+console.log(`✅ Migrated ${migrated} of ${jobs.length} job(s)`);
+skipped.forEach(job => console.log(`⚠️  Could not parse salary for job ${job._id}: "${job.salary}"`));
+
+await mongoose.disconnect();
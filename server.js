@@ -14,8 +14,13 @@ import studentRoutes from "./routes/studentRoutes.js";
 import companyRoutes from "./routes/companyRoutes.js";
 import placementRoutes from "./routes/placementRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import calendarRoutes from "./routes/calendarRoutes.js";
+import documentRoutes from "./routes/documentRoutes.js";
 
 import connectDB from "./config/db.js";
+import { processOutbox } from "./utils/mailer.js";
+import { runDueTasks } from "./utils/scheduler.js";
 
 dotenv.config();
 const app = express();
@@ -58,6 +63,22 @@ app.use("/auth", authRoutes);
 app.use("/student", studentRoutes);
 app.use("/company", companyRoutes);
 app.use("/admin", adminRoutes);
+app.use("/notifications", notificationRoutes);
+app.use("/calendar", calendarRoutes);
+app.use("/", documentRoutes);
+
+// Deliver queued emails, including retries that are now due
+const OUTBOX_INTERVAL = 30 * 1000;
+setInterval(() => {
+  processOutbox().catch((err) => console.error("Outbox processing failed:", err));
+}, OUTBOX_INTERVAL);
+
+// Run background tasks that are due: job deadlines, offer expiry and resume
+// cleanup. Their schedules are kept in MongoDB; see utils/scheduler.js.
+const SCHEDULER_INTERVAL = 60 * 1000;
+setInterval(() => {
+  runDueTasks().catch((err) => console.error("Scheduled tasks failed:", err));
+}, SCHEDULER_INTERVAL);
 
 // Server
 const PORT = process.env.PORT || 3000;
@@ -0,0 +1,94 @@
+// Company accounts start out pending and may only post jobs or see
+// applicants once an admin has approved them. Companies upload proof (e.g.
+// their registration certificate); admins also see whether the account's
+// email domain matches the company website.
+import fs from 'fs';
+import path from 'path';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { documentDir, documentUrl, documentPath, parseDocumentUrl } from './documents.js';
+
+export const VERIFICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+export const MAX_PROOF_BYTES = 5 * 1024 * 1024;
+
+const PROOF_TYPES = {
+  'application/pdf': '.pdf',
+  'image/png': '.png',
+  'image/jpeg': '.jpg'
+};
+
+// Webmail domains, which say nothing about who the sender works for
+const FREE_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.in', 'outlook.com', 'hotmail.com',
+  'live.com', 'icloud.com', 'aol.com', 'proton.me', 'protonmail.com', 'rediffmail.com', 'zoho.com'
+];
+
+const verificationError = (message) => {
+  const error = new Error(message);
+  error.name = 'VerificationError';
+  return error;
+};
+
+export const isVerifiedCompany = (company) => company?.verification?.status === 'approved';
+
+const hostname = (website) => {
+  try {
+    return new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+};
+
+// Whether the login email's domain belongs to the company website, e.g.
+// hr@acme.com or hr@careers.acme.com for www.acme.com
+export const emailDomainCheck = (company) => {
+  const emailDomain = String(company.email || '').split('@')[1]?.toLowerCase() || '';
+  const websiteDomain = hostname(company.website || '').replace(/^www\./, '');
+  const freeMail = FREE_EMAIL_DOMAINS.includes(emailDomain);
+  const matches = Boolean(emailDomain && websiteDomain && !freeMail) &&
+    (emailDomain === websiteDomain || emailDomain.endsWith(`.${websiteDomain}`) || websiteDomain.endsWith(`.${emailDomain}`));
+
+  return { emailDomain, websiteDomain, freeMail, matches };
+};
+
+// Store an uploaded proof document (express-fileupload file) and return
+// its URL. Throws a VerificationError for invalid files.
+export const saveProofDocument = async (companyId, upload) => {
+  const extension = PROOF_TYPES[upload.mimetype];
+  if (!extension) {
+    throw verificationError('Proof must be a PDF, PNG or JPEG file');
+  }
+  if (upload.size > MAX_PROOF_BYTES) {
+    throw verificationError('Proof must be 5MB or smaller');
+  }
+
+  const filename = `${companyId}-${Date.now()}${extension}`;
+  await fs.promises.mkdir(documentDir('verification'), { recursive: true });
+  await upload.mv(path.join(documentDir('verification'), filename));
+  return documentUrl('verification', filename);
+};
+
+// Delete a stored proof document, e.g. when the account it was uploaded
+// with could not be created
+export const removeProofDocument = async (url) => {
+  const document = parseDocumentUrl(url);
+  const target = document?.kind === 'verification' ? documentPath(document.kind, document.filename) : null;
+  if (!target) return;
+  await fs.promises.unlink(target).catch(err => {
+    if (err.code !== 'ENOENT') console.error('Proof Cleanup Error:', err);
+  });
+};
+
+// Let admins know a company is waiting for review
+export const notifyAdminsOfReview = async (company) => {
+  const admins = await User.distinct('_id', { role: 'admin' });
+  await Notification.send(admins, {
+    type: 'company_verification',
+    title: `${company.companyName || company.name} is awaiting verification`,
+    message: company.verification?.document
+      ? 'Proof has been uploaded for review.'
+      : 'No proof has been uploaded yet.',
+    link: '/admin/companies?verification=pending'
+  });
+};
@@ -0,0 +1,65 @@
+// Private uploads (resumes, offer letters and company verification proof)
+// live outside the static root
+// under storage/<kind>/ and are only served by routes/documentRoutes.js
+// after an access check. Records store them as /files/<kind>/<file>.
+import crypto from 'crypto';
+import path from 'path';
+import { siteUrl } from './mailer.js';
+
+export const DOCUMENT_KINDS = ['resumes', 'offers', 'verification'];
+
+export const STORAGE_ROOT = path.join(process.cwd(), 'storage');
+
+// Longest a shared link may stay valid
+export const MAX_SIGNED_LINK_HOURS = 7 * 24;
+
+export const documentDir = (kind) => path.join(STORAGE_ROOT, kind);
+
+export const documentUrl = (kind, filename) => `/files/${kind}/${filename}`;
+
+// The /uploads/<kind>/<file> form records held before the documents were
+// moved; scripts/migrate-documents.js rewrites them
+export const legacyDocumentUrl = (kind, filename) => `/uploads/${kind}/${filename}`;
+
+// { kind, filename } of a stored document URL, or null for anything else
+export const parseDocumentUrl = (url) => {
+  const match = /^\/files\/([a-z]+)\/([^/]+)$/.exec(url || '');
+  if (!match || !DOCUMENT_KINDS.includes(match[1])) return null;
+  return { kind: match[1], filename: match[2] };
+};
+
+// Disk path of a document, or null when the name could escape its folder
+export const documentPath = (kind, filename) => {
+  if (!DOCUMENT_KINDS.includes(kind) || !filename || filename !== path.basename(filename) || filename.startsWith('.')) {
+    return null;
+  }
+  return path.join(documentDir(kind), filename);
+};
+
+const signingSecret = () => process.env.DOCUMENT_LINK_SECRET || process.env.SESSION_SECRET;
+
+const sign = (kind, filename, expires) => crypto
+  .createHmac('sha256', signingSecret())
+  .update(`${kind}/${filename}:${expires}`)
+  .digest('hex');
+
+// Absolute link to a stored document that opens without logging in until
+// it expires, e.g. for an external interviewer
+export const signedDocumentUrl = (url, hours) => {
+  const { kind, filename } = parseDocumentUrl(url);
+  const expires = Date.now() + hours * 60 * 60 * 1000;
+  return {
+    url: `${siteUrl()}${documentUrl(kind, filename)}?expires=${expires}&signature=${sign(kind, filename, expires)}`,
+    expiresAt: new Date(expires)
+  };
+};
+
+// Whether ?expires=&signature= is a valid, unexpired link to this document
+export const verifySignedLink = (kind, filename, { expires, signature } = {}) => {
+  const expiresAt = Number(expires);
+  if (!expiresAt || expiresAt < Date.now() || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(sign(kind, filename, expiresAt));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
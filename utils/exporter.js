@@ -0,0 +1,130 @@
+// CSV and XLSX downloads. Rows are read from an async iterable (usually a
+// Mongoose cursor) and written as they arrive, so large exports never sit
+// in memory. A column is { key, header, value(row) }.
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { siteUrl } from './mailer.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const formatDate = (date) => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) : '');
+
+const fileUrl = (filePath) => (filePath ? `${siteUrl()}${filePath}` : '');
+
+const roundSummary = (round) => [
+  `${round.name} (${round.type})`,
+  round.scheduledAt ? formatDate(round.scheduledAt) : 'not scheduled',
+  round.mode,
+  round.cancelledAt ? 'cancelled' : round.outcome
+].filter(Boolean).join(', ');
+
+// Applications with studentId populated, and jobId/companyId where available
+export const APPLICATION_COLUMNS = [
+  { key: 'name', header: 'Student Name', value: (app) => app.studentId?.name },
+  { key: 'email', header: 'Email', value: (app) => app.studentId?.email },
+  { key: 'rollNumber', header: 'Roll Number', value: (app) => app.studentId?.rollNumber },
+  { key: 'branch', header: 'Branch', value: (app) => app.studentId?.branch },
+  { key: 'year', header: 'Year', value: (app) => app.studentId?.year },
+  { key: 'cgpa', header: 'CGPA', value: (app) => app.studentId?.cgpa },
+  { key: 'skills', header: 'Skills', value: (app) => (app.studentId?.skills || []).join(', ') },
+  { key: 'job', header: 'Job Title', value: (app) => app.jobId?.title },
+  { key: 'company', header: 'Company', value: (app) => app.companyId?.companyName || app.jobId?.companyName },
+  { key: 'status', header: 'Status', value: (app) => app.status },
+  { key: 'appliedDate', header: 'Applied On', value: (app) => formatDate(app.appliedDate) },
+  { key: 'nextInterview', header: 'Next Interview', value: (app) => formatDate(app.interviewDate) },
+  { key: 'interviews', header: 'Interview Rounds', value: (app) => app.interviewRounds().map(roundSummary).join('; ') },
+  { key: 'resume', header: 'Resume', value: (app) => fileUrl(app.resume) }
+];
+
+export const STUDENT_COLUMNS = [
+  { key: 'name', header: 'Name', value: (user) => user.name },
+  { key: 'email', header: 'Email', value: (user) => user.email },
+  { key: 'rollNumber', header: 'Roll Number', value: (user) => user.rollNumber },
+  { key: 'branch', header: 'Branch', value: (user) => user.branch },
+  { key: 'year', header: 'Year', value: (user) => user.year },
+  { key: 'cgpa', header: 'CGPA', value: (user) => user.cgpa },
+  { key: 'graduationYear', header: 'Graduation Year', value: (user) => user.graduationYear },
+  { key: 'activeBacklogs', header: 'Active Backlogs', value: (user) => user.activeBacklogs },
+  { key: 'skills', header: 'Skills', value: (user) => (user.skills || []).join(', ') },
+  { key: 'phone', header: 'Phone', value: (user) => user.phone },
+  { key: 'status', header: 'Account Status', value: (user) => user.status },
+  { key: 'resume', header: 'Resume', value: (user) => fileUrl(user.resume) },
+  { key: 'createdAt', header: 'Registered On', value: (user) => formatDate(user.createdAt) }
+];
+
+export const COMPANY_COLUMNS = [
+  { key: 'companyName', header: 'Company', value: (user) => user.companyName },
+  { key: 'name', header: 'Contact Name', value: (user) => user.name },
+  { key: 'email', header: 'Email', value: (user) => user.email },
+  { key: 'phone', header: 'Phone', value: (user) => user.phone },
+  { key: 'industry', header: 'Industry', value: (user) => user.industry },
+  { key: 'location', header: 'Location', value: (user) => user.location },
+  { key: 'website', header: 'Website', value: (user) => user.website },
+  { key: 'tier', header: 'Tier', value: (user) => user.tier },
+  { key: 'verification', header: 'Verification', value: (user) => user.verification?.status },
+  { key: 'status', header: 'Account Status', value: (user) => user.status },
+  { key: 'createdAt', header: 'Registered On', value: (user) => formatDate(user.createdAt) }
+];
+
+// Columns named in ?columns=a,b (or repeated ?columns=), in definition
+// order. Falls back to every column when none are recognised.
+export const selectColumns = (columns, requested) => {
+  const keys = [].concat(requested || []).flatMap(value => String(value).split(',')).map(key => key.trim());
+  const selected = columns.filter(column => keys.includes(column.key));
+  return selected.length > 0 ? selected : columns;
+};
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  // Keep spreadsheet apps from running user-supplied text as a formula
+  if (/^[=+\-@\t\r]/.test(text) && isNaN(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// XLSX cells are typed, so text is never read as a formula there. Numbers
+// stay numeric so they can be sorted and summed.
+const xlsxCell = (value) => {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'number' ? value : String(value);
+};
+
+// Write with backpressure so a slow client does not buffer the whole export
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) await once(res, 'drain');
+};
+
+const streamCsv = async (res, columns, rows) => {
+  // The byte order mark makes Excel read the file as UTF-8
+  await write(res, '\uFEFF' + columns.map(column => csvCell(column.header)).join(',') + '\r\n');
+  for await (const row of rows) {
+    await write(res, columns.map(column => csvCell(column.value(row))).join(',') + '\r\n');
+  }
+  res.end();
+};
+
+const streamXlsx = async (res, columns, rows, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: 20 }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const row of rows) {
+    sheet.addRow(columns.map(column => xlsxCell(column.value(row)))).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Send `rows` as a download named `<filename>.<format>`
+export const sendExport = async (res, { format, filename, columns, rows, sheetName = 'Export' }) => {
+  if (format === 'xlsx') {
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    return streamXlsx(res, columns, rows, sheetName);
+  }
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  return streamCsv(res, columns, rows);
+};
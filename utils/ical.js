@@ -0,0 +1,75 @@
+// Minimal iCalendar (RFC 5545) writer for interview and deadline events
+import { siteUrl } from './mailer.js';
+
+const UID_DOMAIN = 'placement-portal';
+
+// 20261019T103000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines
+const foldLine = (line) => {
+  const bytes = Buffer.from(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    // Do not split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.subarray(start, end).toString());
+    start = end;
+  }
+  return parts.join('\r\n ');
+};
+
+export const eventUid = (kind, id) => `${kind}-${id}@${UID_DOMAIN}`;
+
+// Subscribable URL of a user's feed, served by routes/calendarRoutes.js
+export const calendarFeedUrl = (token) => `${siteUrl()}/calendar/feed/${token}.ics`;
+
+// event: { uid, start, end | durationMinutes, summary, description, location,
+//          url, sequence, cancelled }
+const buildEvent = (event, stamp) => {
+  const end = event.end || new Date(new Date(event.start).getTime() + (event.durationMinutes || 0) * 60000);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDate(stamp)}`,
+    `DTSTART:${formatDate(event.start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(event.cancelled ? `Cancelled: ${event.summary}` : event.summary)}`
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Full VCALENDAR document. Use method "CANCEL" for a single cancelled event.
+export const buildCalendar = ({ name, events = [], method = 'PUBLISH' }) => {
+  const stamp = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Placement Management System//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  events.forEach(event => lines.push(...buildEvent(event, stamp)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
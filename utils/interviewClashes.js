@@ -0,0 +1,119 @@
+// Overlap detection between scheduled interview rounds. A student clash is
+// two interviews of the same student; a panel clash is two interviews of the
+// same company that share an interviewer.
+import Application, { MAX_INTERVIEW_MINUTES } from '../models/Application.js';
+
+const idOf = (value) => String(value?._id || value);
+
+const roundWindow = (round) => {
+  const start = new Date(round.scheduledAt);
+  return { start, end: new Date(start.getTime() + (round.durationMinutes || 60) * 60 * 1000) };
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+const sharedPanel = (a = [], b = []) => {
+  const other = b.map(name => name.trim().toLowerCase());
+  return a.filter(name => other.includes(name.trim().toLowerCase()));
+};
+
+// Scheduled, non-cancelled rounds of an application with their time windows
+const activeRounds = (application) => application.interviewRounds()
+  .filter(round => round.scheduledAt && !round.cancelledAt)
+  .map(round => ({ application, round, ...roundWindow(round) }));
+
+const isSameRound = (a, b) => a === b || Boolean(a._id && b._id && idOf(a._id) === idOf(b._id));
+
+// Kind of clash between two overlapping entries, or null if they can run side by side
+const clashBetween = (a, b) => {
+  if (idOf(a.application.studentId) === idOf(b.application.studentId)) {
+    return { type: 'student', panel: [] };
+  }
+  if (idOf(a.application.companyId) === idOf(b.application.companyId)) {
+    const panel = sharedPanel(a.round.panel, b.round.panel);
+    if (panel.length > 0) return { type: 'panel', panel };
+  }
+  return null;
+};
+
+const summarize = (entry) => ({
+  applicationId: entry.application._id,
+  roundId: entry.round._id,
+  roundName: entry.round.name,
+  studentId: idOf(entry.application.studentId),
+  studentName: entry.application.studentId?.name,
+  companyId: idOf(entry.application.companyId),
+  jobTitle: entry.application.jobId?.title,
+  companyName: entry.application.jobId?.companyName,
+  start: entry.start,
+  end: entry.end,
+  override: entry.round.clashOverride?.reason ? entry.round.clashOverride : null
+});
+
+// Interviews that clash with `round` as it is now set on `application`
+// (unsaved changes included). Returns [{ type, panel, other }].
+export const findClashes = async (application, round) => {
+  if (!round.scheduledAt || round.cancelledAt) return [];
+
+  const window = roundWindow(round);
+  const range = { $gte: new Date(window.start.getTime() - MAX_INTERVIEW_MINUTES * 60 * 1000), $lt: window.end };
+  const others = await Application.find({
+    _id: { $ne: application._id },
+    $and: [
+      { $or: [{ studentId: idOf(application.studentId) }, { companyId: idOf(application.companyId) }] },
+      { $or: [{ 'rounds.scheduledAt': range }, { rounds: { $size: 0 }, interviewDate: range }] }
+    ]
+  })
+  .populate('jobId', 'title companyName')
+  .populate('studentId', 'name');
+
+  const target = { application, round, ...window };
+  return [application, ...others]
+    .flatMap(activeRounds)
+    .filter(entry => !isSameRound(entry.round, round) && overlaps(entry, target))
+    .map(entry => ({ ...clashBetween(target, entry), other: summarize(entry) }))
+    .filter(clash => clash.type);
+};
+
+// One line per clash for the scheduling company. Interviews with other
+// companies are only described by their time.
+export const describeClash = (clash, companyId) => {
+  const { other } = clash;
+  const time = `${other.start.toLocaleString()} - ${other.end.toLocaleTimeString()}`;
+  if (other.companyId !== idOf(companyId)) {
+    return `The student has an interview with another company at ${time}`;
+  }
+  if (clash.type === 'panel') {
+    return `${clash.panel.join(', ')} also interview${clash.panel.length > 1 ? '' : 's'} ${other.studentName || 'another student'} for ${other.jobTitle} (${other.roundName}) at ${time}`;
+  }
+  return `The student already has ${other.roundName} for ${other.jobTitle} at ${time}`;
+};
+
+// Every pair of clashing interviews from `from` onwards, for the admin report
+export const findAllClashes = async ({ from = new Date() } = {}) => {
+  const applications = await Application.find({
+    $or: [
+      { 'rounds.scheduledAt': { $gte: from } },
+      { rounds: { $size: 0 }, interviewDate: { $gte: from } }
+    ]
+  })
+  .populate('jobId', 'title companyName')
+  .populate('studentId', 'name');
+
+  const entries = applications
+    .flatMap(activeRounds)
+    .filter(entry => entry.end > from)
+    .sort((a, b) => a.start - b.start);
+
+  const clashes = [];
+  entries.forEach((a, i) => {
+    // Sorted by start, so later entries can only overlap while they start before a ends
+    for (let j = i + 1; j < entries.length && entries[j].start < a.end; j++) {
+      const clash = clashBetween(a, entries[j]);
+      if (clash) {
+        clashes.push({ ...clash, first: summarize(a), second: summarize(entries[j]) });
+      }
+    }
+  });
+  return clashes;
+};
@@ -0,0 +1,173 @@
+// Work done around job deadlines by the 'job-deadlines' scheduled task:
+// reminding eligible students a day before applications close, closing jobs
+// once the deadline passes and sending each company a summary of the
+// applicants. Every job is claimed with an atomic update before anything is
+// sent, so overlapping runs never send twice.
+import Job from '../models/Job.js';
+import User from '../models/User.js';
+import Application, { APPLICATION_STATUSES } from '../models/Application.js';
+import Notification from '../models/Notification.js';
+import { queueEmail, processOutbox } from './mailer.js';
+import { scoreApplicant } from './screening.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Students are reminded once the deadline is this close
+export const REMINDER_WINDOW = 24 * HOUR;
+
+// Jobs whose deadline passed longer ago than this (e.g. while the scheduler
+// was not running) are closed without a summary
+const SUMMARY_WINDOW = 7 * 24 * HOUR;
+
+// How many of the best-fitting applicants the closing summary lists
+const SUMMARY_TOP_APPLICANTS = 5;
+
+// Queue an email without delivering it straight away; the outbox is
+// processed once every job has been handled
+const queueQuietly = (template, to, data) => queueEmail(template, to, data, { deliver: false })
+  .then(() => 1)
+  .catch(err => {
+    console.error(`Email Queue Error (${template}):`, err);
+    return 0;
+  });
+
+// Fields remindStudents needs: checkEligibility's and the email's
+const REMINDER_FIELDS = 'name email mutedNotifications cgpa branch graduationYear activeBacklogs gender';
+
+// Remind eligible students who have not applied. Returns how many were reminded.
+const remindStudents = async (job) => {
+  const applied = await Application.distinct('studentId', { jobId: job._id });
+  const students = await User.find({
+    ...job.eligibilityFilter(),
+    role: 'student',
+    status: { $ne: 'inactive' },
+    _id: { $nin: applied }
+  }, REMINDER_FIELDS).lean();
+  const eligible = students.filter(student => job.checkEligibility(student).eligible);
+  if (eligible.length === 0) return 0;
+
+  const link = `/student/jobs/${job._id}`;
+  await Notification.send(eligible.map(student => student._id), {
+    type: 'deadline_reminder',
+    title: `Applications for ${job.title} close soon`,
+    message: `${job.companyName} stops accepting applications on ${job.deadline.toLocaleString('en-IN')}.`,
+    link
+  });
+
+  let queued = 0;
+  for (const student of eligible) {
+    if ((student.mutedNotifications || []).includes('deadline_reminder')) continue;
+    queued += await queueQuietly('deadline-reminder', student.email, {
+      name: student.name,
+      jobTitle: job.title,
+      companyName: job.companyName,
+      deadline: job.deadline,
+      link
+    });
+  }
+  return queued;
+};
+
+// Reminders for published jobs closing within REMINDER_WINDOW. A job is
+// reminded about once per deadline; moving the deadline allows another.
+export const sendDeadlineReminders = async (now = new Date()) => {
+  const candidates = await Job.find({
+    status: 'published',
+    deadline: { $gt: now, $lte: new Date(now.getTime() + REMINDER_WINDOW) }
+  }, 'deadline remindedDeadline');
+
+  let reminded = 0;
+  for (const candidate of candidates) {
+    if (candidate.remindedDeadline?.getTime() === candidate.deadline.getTime()) continue;
+
+    const job = await Job.findOneAndUpdate(
+      { _id: candidate._id, status: 'published', deadline: candidate.deadline, remindedDeadline: { $ne: candidate.deadline } },
+      { $set: { remindedDeadline: candidate.deadline } },
+      { new: true }
+    );
+    if (!job) continue;
+    reminded += await remindStudents(job);
+  }
+  return reminded;
+};
+
+// Applicant counts per status and the best-fitting applicants still pending
+const applicantSummary = async (job) => {
+  const applications = await Application.find({ jobId: job._id })
+    .populate('studentId', 'name branch cgpa graduationYear activeBacklogs gender skills');
+
+  const counts = Object.fromEntries(APPLICATION_STATUSES.map(status => [status, 0]));
+  applications.forEach(application => {
+    counts[application.status] = (counts[application.status] || 0) + 1;
+  });
+
+  const topApplicants = applications
+    .filter(application => application.status === 'pending' && application.studentId)
+    .map(application => ({
+      name: application.studentId.name,
+      branch: application.studentId.branch,
+      cgpa: application.studentId.cgpa,
+      score: scoreApplicant(job, application.studentId).score
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, SUMMARY_TOP_APPLICANTS);
+
+  return { total: applications.length, counts, topApplicants };
+};
+
+const sendClosingSummary = async (job) => {
+  const summary = await applicantSummary(job);
+  const link = `/company/jobs/${job._id}/applications`;
+
+  await Notification.send([job.companyId], {
+    type: 'job_closed',
+    title: `${job.title} is closed`,
+    message: `Applications closed with ${summary.total} applicant(s), ${summary.counts.pending} awaiting review.`,
+    link
+  });
+
+  const company = await User.findById(job.companyId, 'name email mutedNotifications');
+  if (!company || (company.mutedNotifications || []).includes('job_closed')) return;
+  await queueQuietly('job-closed', company.email, {
+    name: company.name,
+    jobTitle: job.title,
+    deadline: job.deadline,
+    link,
+    ...summary
+  });
+};
+
+// Close published jobs whose deadline has passed. The deadline is checked
+// again when claiming, in case it was extended in the meantime. Returns how
+// many were closed.
+export const closeExpiredJobs = async (now = new Date()) => {
+  const due = await Job.find({ status: 'published', deadline: { $lte: now } }, '_id');
+
+  let closed = 0;
+  for (const { _id } of due) {
+    const job = await Job.findOneAndUpdate(
+      { _id, status: 'published', deadline: { $lte: now } },
+      {
+        $set: { status: 'closed' },
+        $push: { statusHistory: { from: 'published', to: 'closed', role: 'system', at: now, comment: 'Application deadline passed' } }
+      },
+      { new: true }
+    );
+    if (!job) continue;
+    closed++;
+
+    if (now - job.deadline <= SUMMARY_WINDOW) {
+      await sendClosingSummary(job);
+    }
+  }
+  return closed;
+};
+
+// Everything due around job deadlines: { reminded, closed }
+export const processJobDeadlines = async (now = new Date()) => {
+  const reminded = await sendDeadlineReminders(now);
+  const closed = await closeExpiredJobs(now);
+
+  processOutbox().catch(err => console.error('Outbox Error:', err));
+  return { reminded, closed };
+};
@@ -0,0 +1,32 @@
+// Publishes approved jobs whose publish time has arrived, for the
+// 'job-publishing' scheduled task. Each job is claimed with an atomic update,
+// so overlapping runs never publish or notify twice.
+import Job from '../models/Job.js';
+import Notification from '../models/Notification.js';
+
+// Publish scheduled jobs that are due. Returns how many were published.
+export const publishScheduledJobs = async (now = new Date()) => {
+  const due = await Job.find({ status: 'scheduled', publishAt: { $lte: now } }, '_id');
+
+  let published = 0;
+  for (const { _id } of due) {
+    const job = await Job.findOneAndUpdate(
+      { _id, status: 'scheduled', publishAt: { $lte: now } },
+      {
+        $set: { status: 'published' },
+        $push: { statusHistory: { from: 'scheduled', to: 'published', role: 'system', at: now, comment: 'Scheduled publish time reached' } }
+      },
+      { new: true }
+    );
+    if (!job) continue;
+    published++;
+
+    await Notification.send([job.companyId], {
+      type: 'job_review',
+      title: `${job.title} is now published`,
+      message: 'Your scheduled job is now visible to students.',
+      link: `/company/jobs/${job._id}/applications`
+    });
+  }
+  return published;
+};
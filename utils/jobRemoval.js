@@ -0,0 +1,28 @@
+// Deleting jobs together with what was recorded against them: applications,
+// offers with their letters and interview slots. Nothing is left that could
+// still be booked from an old link or point at a missing job.
+import fs from 'fs';
+import Job from '../models/Job.js';
+import Application from '../models/Application.js';
+import Offer from '../models/Offer.js';
+import InterviewSlot from '../models/InterviewSlot.js';
+import { documentPath, parseDocumentUrl } from './documents.js';
+
+export const deleteJobs = async (jobIds) => {
+  const filter = { jobId: { $in: jobIds } };
+  const letters = await Offer.distinct('letter', filter);
+
+  await Application.deleteMany(filter);
+  await Offer.deleteMany(filter);
+  await InterviewSlot.deleteMany(filter);
+  await Job.deleteMany({ _id: { $in: jobIds } });
+
+  for (const letter of letters) {
+    const document = parseDocumentUrl(letter);
+    const target = document?.kind === 'offers' ? documentPath(document.kind, document.filename) : null;
+    if (!target) continue;
+    await fs.promises.unlink(target).catch(err => {
+      if (err.code !== 'ENOENT') console.error('Offer Letter Cleanup Error:', err);
+    });
+  }
+};
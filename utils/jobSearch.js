@@ -0,0 +1,104 @@
+// Query-string driven search over open jobs for the student job board
+
+export const JOB_TYPES = ['Full-time', 'Part-time', 'Internship'];
+
+export const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  closing: { deadline: 1, createdAt: -1 },
+  pay: { 'compensation.annualized.max': -1, createdAt: -1 }
+};
+
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 50;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Repeated keys (?q=a&q=b) arrive as arrays; only plain strings are kept
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return isNaN(number) ? undefined : number;
+};
+
+const toList = (value) => [].concat(value || [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(item => item);
+
+// Normalize req.query into the filters the board understands.
+// Unknown or malformed values are dropped rather than rejected.
+export const parseJobSearch = (query = {}) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  return {
+    q: text(query.q),
+    type: JOB_TYPES.includes(query.type) ? query.type : '',
+    location: text(query.location),
+    skills: toList(query.skills),
+    minPay: toNumber(query.minPay),
+    maxPay: toNumber(query.maxPay),
+    deadlineWithin: toNumber(query.deadlineWithin),
+    sort: SORT_OPTIONS[query.sort] ? query.sort : 'newest',
+    page,
+    limit
+  };
+};
+
+// Build the Mongo filter and sort for the parsed filters
+export const buildJobSearch = (filters, now = new Date()) => {
+  const filter = {
+    status: 'published',
+    deadline: { $gt: now }
+  };
+
+  if (filters.q) {
+    const keyword = new RegExp(escapeRegex(filters.q), 'i');
+    filter.$or = [
+      { title: keyword },
+      { description: keyword },
+      { companyName: keyword }
+    ];
+  }
+  if (filters.type) {
+    filter.type = filters.type;
+  }
+  if (filters.location) {
+    filter.location = new RegExp(escapeRegex(filters.location), 'i');
+  }
+  if (filters.skills.length > 0) {
+    filter.skillsRequired = {
+      $all: filters.skills.map(skill => new RegExp(`^${escapeRegex(skill)}$`, 'i'))
+    };
+  }
+  // Pay filters compare against the yearly equivalent of the posted range
+  if (filters.minPay != null) {
+    filter['compensation.annualized.max'] = { $gte: filters.minPay };
+  }
+  if (filters.maxPay != null) {
+    filter['compensation.annualized.min'] = { $lte: filters.maxPay };
+  }
+  if (filters.deadlineWithin != null) {
+    filter.deadline.$lte = new Date(now.getTime() + filters.deadlineWithin * 24 * 60 * 60 * 1000);
+  }
+
+  return { filter, sort: SORT_OPTIONS[filters.sort] };
+};
+
+// Query string for the given filters, used for shareable and pagination links
+export const toQueryString = (filters, overrides = {}) => {
+  const values = { ...filters, ...overrides };
+  const params = new URLSearchParams();
+
+  ['q', 'type', 'location', 'minPay', 'maxPay', 'deadlineWithin'].forEach(key => {
+    if (values[key] !== undefined && values[key] !== '') params.set(key, values[key]);
+  });
+  if (values.skills && values.skills.length > 0) params.set('skills', values.skills.join(','));
+  if (values.sort && values.sort !== 'newest') params.set('sort', values.sort);
+  if (values.page && values.page > 1) params.set('page', values.page);
+  if (values.limit && values.limit !== DEFAULT_LIMIT) params.set('limit', values.limit);
+
+  return params.toString();
+};
@@ -0,0 +1,77 @@
+// Query-string filters for the applicant, student and company lists. The
+// same filters drive the CSV/XLSX exports, so an export matches the screen.
+import User from '../models/User.js';
+import { APPLICATION_STATUSES } from '../models/Application.js';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const cgpa = (value) => {
+  const number = parseFloat(text(value));
+  return number >= 0 && number <= 10 ? String(number) : '';
+};
+
+// Applicant list orders: newest first, or best fit first (utils/screening.js)
+export const APPLICANT_SORTS = ['appliedDate', 'score'];
+
+// Normalize req.query; unknown or malformed values are dropped
+export const parseListFilters = (query = {}) => ({
+  q: text(query.q),
+  status: APPLICATION_STATUSES.includes(query.status) ? query.status : '',
+  branch: text(query.branch),
+  year: text(query.year),
+  companyId: /^[a-f\d]{24}$/i.test(text(query.companyId)) ? query.companyId : '',
+  resumeText: text(query.resumeText),
+  cgpaMin: cgpa(query.cgpaMin),
+  cgpaMax: cgpa(query.cgpaMax),
+  // Comma separated; matched against profiles by utils/screening.js
+  skills: text(query.skills),
+  sort: APPLICANT_SORTS.includes(query.sort) ? query.sort : ''
+});
+
+// Users of a role matching the search (name, email, roll number or company
+// name) and, for students, the branches (comma separated), year and CGPA range
+export const buildUserFilter = (role, filters) => {
+  const filter = { role };
+  if (filters.q) {
+    const keyword = new RegExp(escapeRegex(filters.q), 'i');
+    filter.$or = role === 'company'
+      ? [{ companyName: keyword }, { name: keyword }, { email: keyword }]
+      : [{ name: keyword }, { email: keyword }, { rollNumber: keyword }];
+  }
+  if (role === 'student') {
+    const branches = (filters.branch || '').split(',').map(branch => branch.trim()).filter(Boolean);
+    if (branches.length > 0) filter.branch = { $in: branches.map(branch => new RegExp(`^${escapeRegex(branch)}$`, 'i')) };
+    if (filters.year) filter.year = filters.year;
+    if (filters.cgpaMin || filters.cgpaMax) {
+      filter.cgpa = {};
+      if (filters.cgpaMin) filter.cgpa.$gte = Number(filters.cgpaMin);
+      if (filters.cgpaMax) filter.cgpa.$lte = Number(filters.cgpaMax);
+    }
+  }
+  return filter;
+};
+
+// Applications matching the filters. Student filters are resolved to ids;
+// `scope` (e.g. { jobId }) always wins over the query.
+export const buildApplicationFilter = async (filters, scope = {}) => {
+  const filter = {};
+  if (filters.status) filter.status = filters.status;
+  if (filters.companyId) filter.companyId = filters.companyId;
+  // Words in the text of the resume attached to the application
+  if (filters.resumeText) filter.$text = { $search: filters.resumeText };
+  if (filters.q || filters.branch || filters.year || filters.cgpaMin || filters.cgpaMax) {
+    filter.studentId = { $in: await User.distinct('_id', buildUserFilter('student', filters)) };
+  }
+  return { ...filter, ...scope };
+};
+
+// Query string for the given filters, e.g. to carry them into export links
+export const toQueryString = (filters, overrides = {}) => {
+  const params = new URLSearchParams();
+  Object.entries({ ...filters, ...overrides }).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') params.set(key, value);
+  });
+  return params.toString();
+};
@@ -0,0 +1,187 @@
+// Shared transactional mailer. Messages are rendered from views/emails,
+// stored in the EmailMessage outbox and delivered by processOutbox() with
+// exponential backoff, so a failing SMTP server never loses an email.
+//
+// Transport is chosen by MAIL_TRANSPORT:
+//   file    - write each message as an .eml file to MAIL_DIR (default ./tmp/mail)
+//   smtp    - SMTP_HOST/SMTP_PORT, e.g. a local MailHog or Mailpit instance
+//   service - nodemailer well-known service from EMAIL_SERVICE (the default
+//             when EMAIL_SERVICE is set, otherwise "file")
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ejs from 'ejs';
+import nodemailer from 'nodemailer';
+import EmailMessage from '../models/EmailMessage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEMPLATE_DIR = path.join(__dirname, '..', 'views', 'emails');
+
+// Template name -> subject line built from the template data
+export const EMAIL_TEMPLATES = {
+  reset: () => 'Password Reset - Placement Management System',
+  welcome: () => 'Welcome to the Placement Management System',
+  shortlisted: (data) => `You have been shortlisted for ${data.jobTitle}`,
+  'interview-scheduled': (data) => `${data.roundName} scheduled for ${data.jobTitle}`,
+  offer: (data) => `Offer from ${data.companyName}`,
+  'deadline-reminder': (data) => `Reminder: applications for ${data.jobTitle} close soon`,
+  'set-password': () => 'Set up your Placement Management System account',
+  'company-message': (data) => `${data.companyName}: ${data.subject}`,
+  'company-verification': (data) => (data.approved
+    ? `${data.companyName} is verified`
+    : `${data.companyName} could not be verified`),
+  'job-review': (data) => `${data.jobTitle}: ${data.statusLabel}`,
+  'job-closed': (data) => `${data.jobTitle} is closed: ${data.total} applicant(s)`
+};
+
+const BASE_RETRY_DELAY = 60 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+// A message stuck in "sending" this long is assumed to belong to a crashed worker
+const STALE_LOCK = 10 * 60 * 1000;
+
+export const siteUrl = () => process.env.SITE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const transportName = () => process.env.MAIL_TRANSPORT || (process.env.EMAIL_SERVICE ? 'service' : 'file');
+
+let transporter;
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  switch (transportName()) {
+    case 'smtp':
+      transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+      break;
+    case 'service':
+      transporter = nodemailer.createTransport({
+        service: process.env.EMAIL_SERVICE,
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS
+        }
+      });
+      break;
+    default:
+      transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+  return transporter;
+};
+
+const deliver = async (message) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'placements@localhost',
+    to: message.to,
+    subject: message.subject,
+    html: message.html,
+    text: message.text
+  });
+
+  if (transportName() === 'file') {
+    const dir = process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, `${message._id}.eml`), info.message);
+  }
+  return info;
+};
+
+const toText = (html) => html
+  .replace(/<a [^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, '$2 ($1)')
+  .replace(/<(br|\/p|\/h\d|\/li)>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\n\s*\n+/g, '\n\n')
+  .trim();
+
+// Render a named template into { subject, html, text }
+export const renderEmail = async (template, data = {}) => {
+  if (!EMAIL_TEMPLATES[template]) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+  const locals = { siteUrl: siteUrl(), ...data };
+  const body = await ejs.renderFile(path.join(TEMPLATE_DIR, `${template}.ejs`), locals);
+  const html = await ejs.renderFile(path.join(TEMPLATE_DIR, 'layout.ejs'), { ...locals, body });
+  return { subject: EMAIL_TEMPLATES[template](locals), html, text: toText(body) };
+};
+
+// Queue an email and start delivering it in the background.
+// Resolves once the message is stored, not when it is sent. Bulk senders
+// pass { deliver: false } and call processOutbox() once at the end.
+export const queueEmail = async (template, to, data = {}, { deliver = true } = {}) => {
+  const rendered = await renderEmail(template, data);
+  const message = await EmailMessage.create({ template, to, ...rendered });
+
+  if (deliver) {
+    processOutbox().catch(err => console.error('Outbox Error:', err));
+  }
+  return message;
+};
+
+// Same as queueEmail for callers that must not fail when email does
+export const queueEmailSafely = (template, to, data) => queueEmail(template, to, data)
+  .catch(err => {
+    console.error(`Email Queue Error (${template}):`, err);
+    return null;
+  });
+
+const retryDelay = (attempts) => Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+
+// Claim one due message so concurrent workers never send it twice
+const claimNext = (now) => EmailMessage.findOneAndUpdate(
+  {
+    $or: [
+      { status: 'queued', nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK) } }
+    ]
+  },
+  { $set: { status: 'sending', lockedAt: now } },
+  { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+// Deliver every message that is due. Returns the number of messages handled.
+export const processOutbox = async ({ limit = 50 } = {}) => {
+  let handled = 0;
+
+  while (handled < limit) {
+    const now = new Date();
+    const message = await claimNext(now);
+    if (!message) break;
+    handled++;
+
+    message.attempts += 1;
+    message.lockedAt = undefined;
+    try {
+      const info = await deliver(message);
+      message.status = 'sent';
+      message.sentAt = new Date();
+      message.lastError = undefined;
+      // Bodies can carry one-time links (password reset, account setup), so
+      // only unsent messages keep them; the log stays for the outbox page
+      message.html = undefined;
+      message.text = undefined;
+      message.log.push({ status: 'sent', transport: transportName(), messageId: info.messageId });
+    } catch (err) {
+      message.lastError = err.message;
+      message.log.push({ status: 'error', transport: transportName(), error: err.message });
+      if (message.attempts >= message.maxAttempts) {
+        message.status = 'failed';
+      } else {
+        message.status = 'queued';
+        message.nextAttemptAt = new Date(Date.now() + retryDelay(message.attempts));
+      }
+    }
+    await message.save();
+  }
+
+  return handled;
+};
+
+// Put a failed message back in the queue with a fresh set of attempts
+export const retryEmail = (messageId) => EmailMessage.findOneAndUpdate(
+  { _id: messageId, status: 'failed' },
+  { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() } },
+  { new: true }
+);
@@ -0,0 +1,60 @@
+// Renders a plain offer letter PDF for offers made without an uploaded letter
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+import { formatMoney } from './salary.js';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+});
+
+// Write the letter for `offer` to `filePath`; resolves once the file is flushed
+export const generateOfferLetter = (offer, { student, company }, filePath) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 60 });
+  const stream = fs.createWriteStream(filePath);
+  stream.on('finish', resolve);
+  stream.on('error', reject);
+  doc.pipe(stream);
+
+  const companyName = company.companyName || company.name;
+
+  doc.fontSize(20).text(companyName, { align: 'left' });
+  if (company.location) {
+    doc.fontSize(9).fillColor('#555').text(company.location);
+  }
+  doc.moveDown(2).fillColor('#000');
+
+  doc.fontSize(10).text(formatDate(offer.createdAt || new Date()), { align: 'right' });
+  doc.moveDown();
+
+  doc.fontSize(16).text('Offer of Employment', { align: 'center' });
+  doc.moveDown();
+
+  doc.fontSize(11)
+    .text(`Dear ${student.name},`)
+    .moveDown()
+    .text(`We are pleased to offer you the position of ${offer.role} at ${companyName}. ` +
+      'This letter sets out the key terms of the offer.')
+    .moveDown();
+
+  [
+    ['Role', offer.role],
+    ['Annual CTC', formatMoney(offer.ctc, offer.currency)],
+    ['Location', offer.location],
+    ['Joining date', formatDate(offer.joiningDate)],
+    ['Respond by', formatDate(offer.responseDeadline)]
+  ].forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+      .font('Helvetica').text(value);
+  });
+
+  doc.moveDown()
+    .text('Please accept or decline this offer from the placement portal before the response date. ' +
+      'The offer lapses automatically if it is not answered by then.')
+    .moveDown(2)
+    .text('Sincerely,')
+    .text(companyName);
+
+  doc.end();
+});
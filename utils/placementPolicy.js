@@ -0,0 +1,90 @@
+// Placement cell rules such as "max two offers per student" or "once placed
+// in a Tier-1 company, only Dream companies". Tiers and policies are stored
+// as settings and evaluated when a student applies.
+import Setting from '../models/Setting.js';
+
+// Ordered from most to least sought after
+export const DEFAULT_TIERS = ['Dream', 'Tier-1', 'Tier-2', 'Tier-3'];
+
+export const POLICY_TYPES = {
+  maxOffers: 'Maximum accepted offers',
+  tierLock: 'Restrict tiers once placed',
+  minCtcIncrease: 'Minimum CTC increase over current offer'
+};
+
+const toList = (value) => [].concat(value || [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(item => item);
+
+const toNumber = (value) => (value === undefined || value === '' || isNaN(value) ? undefined : Number(value));
+
+// Tier of a job: its own classification, otherwise the company's
+export const resolveTier = (job, company) => (job && job.tier) || (company && company.tier) || '';
+
+// Clean up policies posted from the settings form (policies[i][field]).
+// Rows without a known type are dropped.
+export const parsePolicies = (rows) => (Array.isArray(rows) ? rows : Object.values(rows || {}))
+  .filter(row => row && POLICY_TYPES[row.type])
+  .map(row => ({
+    name: (row.name || '').trim() || POLICY_TYPES[row.type],
+    type: row.type,
+    enabled: row.enabled === 'on' || row.enabled === true,
+    limit: toNumber(row.limit),
+    placedTiers: toList(row.placedTiers),
+    allowedTiers: toList(row.allowedTiers),
+    percent: toNumber(row.percent)
+  }));
+
+export const parseTiers = (value) => {
+  const tiers = toList(value);
+  return tiers.length > 0 ? [...new Set(tiers)] : DEFAULT_TIERS;
+};
+
+// Tiers and policies as currently configured in /admin/settings
+export const loadPlacementPolicy = async () => {
+  const docs = await Setting.find({ key: { $in: ['placementTiers', 'placementPolicies'] } });
+  const values = Object.fromEntries(docs.map(doc => [doc.key, doc.value]));
+  return {
+    tiers: values.placementTiers || DEFAULT_TIERS,
+    policies: values.placementPolicies || []
+  };
+};
+
+// Each rule returns a message when it blocks the application
+const RULES = {
+  maxOffers: (policy, { acceptedOffers }) => {
+    if (policy.limit == null || acceptedOffers.length < policy.limit) return null;
+    return `Students may accept at most ${policy.limit} offer${policy.limit === 1 ? '' : 's'}`;
+  },
+
+  tierLock: (policy, { jobTier, acceptedOffers }) => {
+    const placed = acceptedOffers.find(offer => policy.placedTiers.includes(offer.tier));
+    if (!placed || policy.allowedTiers.includes(jobTier)) return null;
+    const allowed = policy.allowedTiers.length > 0 ? policy.allowedTiers.join(' or ') : 'no other';
+    return `Students placed in a ${placed.tier} company can only apply to ${allowed} companies`;
+  },
+
+  // Jobs that do not disclose pay are not held back by this rule. There are
+  // no exchange rates, so offers in another currency than the job's are
+  // left out of the comparison rather than compared as raw numbers.
+  minCtcIncrease: (policy, { jobCtc, jobCurrency = 'INR', acceptedOffers }) => {
+    const comparable = acceptedOffers.filter(offer => (offer.currency || 'INR') === jobCurrency);
+    if (policy.percent == null || jobCtc == null || comparable.length === 0) return null;
+    const best = Math.max(...comparable.map(offer => offer.ctc || 0));
+    const required = best * (1 + policy.percent / 100);
+    if (jobCtc >= required) return null;
+    return `Jobs must pay at least ${policy.percent}% more than your current offer`;
+  }
+};
+
+// First enabled policy that blocks the application, as { rule, message }, or null.
+// `acceptedOffers` is a list of { tier, ctc, currency } for the student's accepted offers.
+export const evaluatePolicies = (policies, { jobTier, jobCtc, jobCurrency, acceptedOffers = [] }) => {
+  for (const policy of policies) {
+    if (!policy.enabled || !RULES[policy.type]) continue;
+    const message = RULES[policy.type](policy, { jobTier, jobCtc, jobCurrency, acceptedOffers });
+    if (message) return { rule: policy, message };
+  }
+  return null;
+};
@@ -0,0 +1,77 @@
+// Scores open jobs against a student's profile for dashboard recommendations
+import { matchSkills } from './skills.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Relative weight of each input in the final score (sums to 1)
+export const WEIGHTS = {
+  skills: 0.6,
+  fit: 0.25,
+  urgency: 0.15
+};
+
+// Deadlines further out than this earn no urgency points
+const URGENCY_WINDOW_DAYS = 14;
+
+// Branch/CGPA fit: a job aimed at the student's branch, or one they clear
+// the CGPA bar for comfortably, fits better than one that is merely open.
+const fitScore = (job, student) => {
+  const criteria = job.eligibilityCriteria || {};
+
+  const branches = (criteria.branches || []).map(normalize);
+  const branchFit = branches.length > 0 && branches.includes(normalize(student.branch)) ? 1 : 0.75;
+
+  let cgpaFit = 1;
+  if (criteria.minCGPA != null && student.cgpa != null) {
+    cgpaFit = Math.min(1, 0.75 + (student.cgpa - criteria.minCGPA) / 4);
+  }
+
+  return (branchFit + cgpaFit) / 2;
+};
+
+const urgencyScore = (job, now) => {
+  if (!job.deadline) return 0;
+  const daysLeft = (new Date(job.deadline) - now) / DAY;
+  return Math.max(0, Math.min(1, 1 - daysLeft / URGENCY_WINDOW_DAYS));
+};
+
+// Score one job for a student. Jobs the student is not eligible for get null.
+export const scoreJob = (job, student, now = new Date()) => {
+  if (typeof job.checkEligibility === 'function' && !job.checkEligibility(student).eligible) {
+    return null;
+  }
+
+  const required = job.skillsRequired || [];
+  const { matched, missing } = matchSkills(student.skills || [], required);
+  // Jobs without listed skills are neither a strong nor a weak match
+  const skills = required.length > 0 ? matched.length / required.length : 0.5;
+  const fit = fitScore(job, student);
+  const urgency = urgencyScore(job, now);
+
+  const score = WEIGHTS.skills * skills + WEIGHTS.fit * fit + WEIGHTS.urgency * urgency;
+
+  return {
+    score: Math.round(score * 100),
+    matchedSkills: matched,
+    missingSkills: missing
+  };
+};
+
+// Rank open jobs for a student, skipping jobs already applied to.
+// `appliedJobIds` may hold ObjectIds or strings.
+export const recommendJobs = (jobs, student, { appliedJobIds = [], limit = 6, now = new Date() } = {}) => {
+  const applied = new Set(appliedJobIds.map(String));
+
+  return jobs
+    .filter(job => !applied.has(String(job._id)))
+    .map(job => ({ job, match: scoreJob(job, student, now) }))
+    .filter(({ match }) => match !== null)
+    .sort((a, b) => b.match.score - a.match.score)
+    .slice(0, limit)
+    .map(({ job, match }) => ({
+      ...(typeof job.toObject === 'function' ? job.toObject() : job),
+      match
+    }));
+};
@@ -0,0 +1,147 @@
+// Renders a student's profile into the placement cell's resume templates.
+// Generated resumes are stored in the resume library like uploads; see
+// saveGeneratedResume() in resumeLibrary.js.
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+
+export const RESUME_TEMPLATES = {
+  standard: {
+    label: 'College Standard',
+    font: 'Times-Roman',
+    bold: 'Times-Bold',
+    align: 'center',
+    accent: '#000000',
+    rule: true
+  },
+  modern: {
+    label: 'Modern',
+    font: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    align: 'left',
+    accent: '#1a56db',
+    rule: false
+  }
+};
+
+const ordinal = (year) => ({ 1: '1st', 2: '2nd', 3: '3rd' }[year] || `${year}th`);
+
+const filled = (entries = []) => entries.filter(entry => Object.values(entry).some(value => String(value || '').trim()));
+
+// The profile data a generated resume shows; changes to anything else do
+// not call for a new version
+export const resumeData = (student) => ({
+  name: student.name || '',
+  email: student.email || '',
+  phone: student.phone || '',
+  links: ['linkedin', 'github', 'portfolio'].map(key => student.links?.[key]).filter(Boolean),
+  rollNumber: student.rollNumber || '',
+  branch: student.branch || '',
+  year: student.year || '',
+  graduationYear: student.graduationYear || '',
+  cgpa: student.cgpa ?? '',
+  skills: student.skills || [],
+  education: filled(student.education).map(({ qualification, institution, year, score }) => ({ qualification, institution, year, score })),
+  projects: filled(student.projects).map(({ title, technologies, link, description }) => ({ title, technologies, link, description })),
+  certifications: filled(student.certifications).map(({ name, issuer, year, link }) => ({ name, issuer, year, link }))
+});
+
+// Fingerprint of the data a template renders, to tell when to regenerate
+export const resumeDataHash = (student) => crypto
+  .createHash('sha1')
+  .update(JSON.stringify(resumeData(student)))
+  .digest('hex');
+
+const section = (doc, style, title) => {
+  doc.moveDown(0.8)
+    .font(style.bold).fontSize(12).fillColor(style.accent)
+    .text(title.toUpperCase(), { align: 'left' });
+  if (style.rule) {
+    doc.moveTo(doc.page.margins.left, doc.y + 1)
+      .lineTo(doc.page.width - doc.page.margins.right, doc.y + 1)
+      .lineWidth(0.5)
+      .strokeColor('#000000')
+      .stroke();
+  }
+  doc.moveDown(0.3).font(style.font).fontSize(10.5).fillColor('#000000');
+};
+
+// PDF of `student` in `template`, resolved as a Buffer
+export const renderResume = (student, template, { collegeName = process.env.COLLEGE_NAME } = {}) => new Promise((resolve, reject) => {
+  const style = RESUME_TEMPLATES[template];
+  const data = resumeData(student);
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${data.name} - Resume` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  if (collegeName) {
+    doc.font(style.font).fontSize(9).fillColor('#555555').text(collegeName, { align: style.align });
+  }
+  doc.font(style.bold).fontSize(20).fillColor(style.accent).text(data.name, { align: style.align });
+  doc.font(style.font).fontSize(10).fillColor('#000000')
+    .text([data.email, data.phone, ...data.links].filter(Boolean).join('  |  '), { align: style.align });
+
+  section(doc, style, 'Education');
+  const degree = [data.branch, data.year ? `${ordinal(data.year)} year` : '', data.graduationYear ? `graduating ${data.graduationYear}` : '']
+    .filter(Boolean).join(', ');
+  doc.font(style.bold).text(degree || 'Current programme', { continued: data.cgpa !== '' });
+  if (data.cgpa !== '') {
+    doc.font(style.font).text(`  -  CGPA ${data.cgpa}/10`);
+  }
+  if (data.rollNumber) {
+    doc.font(style.font).text(`Roll number: ${data.rollNumber}`);
+  }
+  data.education.forEach(entry => {
+    doc.moveDown(0.3)
+      .font(style.bold).text(entry.qualification || 'Qualification', { continued: Boolean(entry.institution) })
+      .font(style.font).text(entry.institution ? `, ${entry.institution}` : '')
+      .text([entry.year, entry.score].filter(Boolean).join('  -  '));
+  });
+
+  if (data.skills.length > 0) {
+    section(doc, style, 'Skills');
+    doc.text(data.skills.join(', '));
+  }
+
+  if (data.projects.length > 0) {
+    section(doc, style, 'Projects');
+    data.projects.forEach((project, index) => {
+      if (index > 0) doc.moveDown(0.5);
+      doc.font(style.bold).text(project.title || 'Project', { continued: Boolean(project.technologies) })
+        .font(style.font).text(project.technologies ? `  (${project.technologies})` : '');
+      if (project.link) doc.fillColor(style.accent).text(project.link, { link: project.link }).fillColor('#000000');
+      if (project.description) doc.text(project.description);
+    });
+  }
+
+  if (data.certifications.length > 0) {
+    section(doc, style, 'Certifications');
+    data.certifications.forEach(certification => {
+      const details = [certification.issuer, certification.year].filter(Boolean).join(', ');
+      doc.text(`•  ${certification.name}${details ? ` - ${details}` : ''}`, certification.link ? { link: certification.link } : {});
+    });
+  }
+
+  doc.end();
+});
+
+// Repeatable builder sections and the fields each entry has
+export const BUILDER_SECTIONS = {
+  education: ['qualification', 'institution', 'year', 'score'],
+  projects: ['title', 'technologies', 'link', 'description'],
+  certifications: ['name', 'issuer', 'year', 'link']
+};
+
+const MAX_ENTRIES = 20;
+
+// Builder form fields (e.g. projects[0][title]) as profile updates, with
+// blank rows dropped
+export const builderSections = (body = {}) => Object.fromEntries(
+  Object.entries(BUILDER_SECTIONS).map(([section, fields]) => {
+    const rows = Object.values(body[section] || {}).map(row => Object.fromEntries(
+      fields.map(field => [field, String(row?.[field] || '').trim().slice(0, field === 'description' ? 600 : 150)])
+    ));
+    return [section, filled(rows).slice(0, MAX_ENTRIES)];
+  })
+);
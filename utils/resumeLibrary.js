@@ -0,0 +1,205 @@
+// Storage side of the student resume library: saving uploads and
+// generated resumes as new versions, choosing the version attached to an
+// application and deleting files nothing refers to any more
+import fs from 'fs';
+import path from 'path';
+import Resume, { MAX_VERSIONS } from '../models/Resume.js';
+import Application from '../models/Application.js';
+import User from '../models/User.js';
+import { documentDir, documentUrl, documentPath, parseDocumentUrl, legacyDocumentUrl } from './documents.js';
+import { extractResumeText } from './resumeParser.js';
+import { RESUME_TEMPLATES, renderResume, resumeDataHash } from './resumeBuilder.js';
+
+const RESUME_DIR = documentDir('resumes');
+
+export const MAX_RESUME_BYTES = 5 * 1024 * 1024;
+
+// Files younger than this are never treated as orphans, so an upload whose
+// database write is still in flight is not deleted under it
+const ORPHAN_GRACE = 24 * 60 * 60 * 1000;
+
+const resumeError = (message) => {
+  const error = new Error(message);
+  error.name = 'ResumeError';
+  return error;
+};
+
+// Write PDF bytes to storage and return the version to record
+const storeResume = async (studentId, data, originalName) => {
+  let text = '';
+  try {
+    text = await extractResumeText(data);
+  } catch (err) {
+    // Unreadable PDFs are still accepted, just without suggestions or search
+    console.error('Resume Text Error:', err.message);
+  }
+
+  const filename = `${studentId}-${Date.now()}.pdf`;
+  await fs.promises.mkdir(RESUME_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(RESUME_DIR, filename), data);
+
+  return { file: documentUrl('resumes', filename), originalName, size: data.length, text };
+};
+
+// Store an uploaded PDF (express-fileupload file) and return the version
+// to record. Throws a ResumeError for invalid files.
+export const saveResumeFile = async (studentId, upload) => {
+  if (!upload.mimetype.includes('pdf')) {
+    throw resumeError('Only PDF files are allowed');
+  }
+  if (upload.size > MAX_RESUME_BYTES) {
+    throw resumeError('Resume must be 5MB or smaller');
+  }
+  return storeResume(studentId, upload.data, upload.name);
+};
+
+// Records not yet migrated still point at the legacy /uploads URL, which
+// counts as a reference to the same file
+const isReferenced = async (file) => {
+  const document = parseDocumentUrl(file);
+  const urls = { $in: document ? [file, legacyDocumentUrl(document.kind, document.filename)] : [file] };
+  const [application, resume, user] = await Promise.all([
+    Application.exists({ resume: urls }),
+    Resume.exists({ 'versions.file': urls }),
+    User.exists({ resume: urls })
+  ]);
+  return Boolean(application || resume || user);
+};
+
+const diskPath = (file) => {
+  const document = parseDocumentUrl(file);
+  return document?.kind === 'resumes' ? documentPath(document.kind, document.filename) : null;
+};
+
+// Delete the given resume files unless an application, a library entry or
+// a profile still points at them
+export const removeUnreferencedFiles = async (files) => {
+  for (const file of new Set(files)) {
+    const target = diskPath(file);
+    if (!target || await isReferenced(file)) continue;
+    await fs.promises.unlink(target).catch(err => {
+      if (err.code !== 'ENOENT') console.error('Resume Cleanup Error:', err);
+    });
+  }
+};
+
+// Add an upload as the newest version of `resume`, dropping the oldest
+// versions beyond MAX_VERSIONS
+export const addVersion = async (resume, version) => {
+  resume.versions.push({ ...version, number: (resume.latestVersion()?.number || 0) + 1 });
+  const dropped = resume.versions.splice(0, Math.max(0, resume.versions.length - MAX_VERSIONS));
+  await resume.save();
+  await removeUnreferencedFiles(dropped.map(old => old.file));
+  return resume;
+};
+
+// Render the student's profile into `template` as a library resume: created
+// on first use, then given a new version whenever the profile data it shows
+// has changed. Returns the resume.
+export const saveGeneratedResume = async (student, template) => {
+  if (!RESUME_TEMPLATES[template]) {
+    throw resumeError('Unknown resume template');
+  }
+
+  const hash = resumeDataHash(student);
+  let resume = await Resume.findOne({ studentId: student._id, template });
+  if (resume && resume.sourceHash === hash) return resume;
+
+  const data = await renderResume(student, template);
+  const version = await storeResume(student._id, data, `${template}-resume.pdf`);
+  if (resume) {
+    resume.sourceHash = hash;
+    await addVersion(resume, version);
+  } else {
+    resume = await Resume.create({
+      studentId: student._id,
+      name: `${RESUME_TEMPLATES[template].label} (generated)`,
+      template,
+      sourceHash: hash,
+      versions: [{ ...version, number: 1 }]
+    });
+  }
+  return resume;
+};
+
+// Bring every generated resume of a student up to date with the profile
+export const refreshGeneratedResumes = async (student) => {
+  const templates = await Resume.distinct('template', { studentId: student._id, template: { $in: Object.keys(RESUME_TEMPLATES) } });
+  for (const template of templates) {
+    await saveGeneratedResume(student, template);
+  }
+  if (templates.length > 0) {
+    return syncDefaultResume(student._id);
+  }
+  return student;
+};
+
+// Point User.resume at the latest version of the default resume, making
+// the most recently updated resume the default if none is. Returns the
+// updated user for the session.
+export const syncDefaultResume = async (studentId) => {
+  let resume = await Resume.findOne({ studentId, isDefault: true });
+  if (!resume) {
+    resume = await Resume.findOne({ studentId }).sort({ updatedAt: -1 });
+    if (resume) {
+      resume.isDefault = true;
+      await resume.save();
+    }
+  }
+
+  const previous = await User.findById(studentId, 'resume');
+  const user = await User.findByIdAndUpdate(
+    studentId,
+    { resume: resume?.latestVersion()?.file || '' },
+    { new: true }
+  );
+  if (previous?.resume && previous.resume !== user.resume) {
+    await removeUnreferencedFiles([previous.resume]);
+  }
+  return user;
+};
+
+// The file, text and version details to store on a new application: the latest
+// version of the chosen resume, or of the default one
+export const resumeForApplication = async (student, resumeId) => {
+  const resumes = await Resume.forStudent(student);
+  const resume = resumeId
+    ? resumes.find(entry => entry._id.toString() === String(resumeId))
+    : resumes.find(entry => entry.isDefault) || resumes[0];
+  const version = resume?.latestVersion();
+  if (!version) {
+    throw resumeError(resumeId ? 'Resume not found' : 'Please upload your resume before applying');
+  }
+
+  return {
+    resume: version.file,
+    resumeText: version.text,
+    resumeVersion: {
+      resumeId: resume._id,
+      versionId: version._id,
+      name: resume.name,
+      number: version.number
+    }
+  };
+};
+
+// Delete stored resumes that nothing refers to, e.g. files replaced before
+// the library kept versions. Returns how many were removed.
+export const cleanupOrphanedResumes = async () => {
+  const entries = await fs.promises.readdir(RESUME_DIR).catch(() => []);
+  let removed = 0;
+  for (const name of entries) {
+    const target = path.join(RESUME_DIR, name);
+    const stats = await fs.promises.stat(target).catch(() => null);
+    if (!name.endsWith('.pdf') || !stats?.isFile() || Date.now() - stats.mtimeMs < ORPHAN_GRACE) continue;
+    if (await isReferenced(documentUrl('resumes', name))) continue;
+
+    try {
+      await fs.promises.unlink(target);
+      removed++;
+    } catch (err) {
+      console.error('Resume Cleanup Error:', err);
+    }
+  }
+  return removed;
+};
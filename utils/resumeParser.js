@@ -0,0 +1,161 @@
+// Reads uploaded resume PDFs locally and turns their text into profile
+// updates the student can review: skills from the skills dictionary, plus
+// phone, CGPA and profile links. Nothing is changed without the student.
+import { PDFParse } from 'pdf-parse';
+import Setting from '../models/Setting.js';
+import { detectSkills, normalizeSkill } from './skills.js';
+
+// Kept text is capped; a few pages of resume fit comfortably
+export const MAX_RESUME_TEXT = 20000;
+
+// Plain text of a PDF, or '' when it has none (e.g. a scanned image)
+export const extractResumeText = async (buffer) => {
+  // Copied because the parser may take ownership of the bytes it is given
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+  try {
+    const { text } = await parser.getText();
+    return text
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ' ')
+      .replace(/[ \t]+/g, ' ')
+      .trim()
+      .slice(0, MAX_RESUME_TEXT);
+  } finally {
+    await parser.destroy();
+  }
+};
+
+// Skills admins added on top of the built-in dictionary, as { skill: [aliases] }
+export const loadSkillDictionary = async () => {
+  const setting = await Setting.findOne({ key: 'skillDictionary' });
+  return setting?.value || {};
+};
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b/i;
+
+// International numbers, 10 digits in a row, or common 5-5 / 3-3-4 groupings
+const PHONE_PATTERNS = [
+  /\+\d{1,3}[\s-]?\d[\d\s-]{7,13}\d/,
+  /(?<![\d/.-])\d{10}(?![\d/.-])/,
+  /(?<![\d/.-])\d{5}[\s-]\d{5}(?![\d/.-])/,
+  /(?<![\d/.-])\(?\d{3}\)?[\s-]\d{3}[\s-]\d{4}(?![\d/.-])/
+];
+
+const CGPA_PATTERN = /\b(?:c\.?g\.?p\.?a|gpa|cpi)\b[^\d\n]{0,20}(\d{1,2}(?:\.\d{1,2})?)/i;
+
+const LINK_PATTERNS = {
+  linkedin: /(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/[\w%-]+/i,
+  github: /(?:https?:\/\/)?(?:www\.)?github\.com\/[\w-]+/i,
+  portfolio: /(?:https?:\/\/|www\.)[^\s,;()<>]+/gi
+};
+
+const withScheme = (url) => (/^https?:\/\//i.test(url) ? url : `https://${url}`);
+
+const findPhone = (text) => {
+  for (const pattern of PHONE_PATTERNS) {
+    const match = pattern.exec(text);
+    const digits = match ? match[0].replace(/\D/g, '') : '';
+    if (digits.length >= 10 && digits.length <= 13) return match[0].trim();
+  }
+  return '';
+};
+
+const findLinks = (text) => {
+  const linkedin = LINK_PATTERNS.linkedin.exec(text)?.[0];
+  const github = LINK_PATTERNS.github.exec(text)?.[0];
+  const portfolio = (text.match(LINK_PATTERNS.portfolio) || [])
+    .map(url => url.replace(/[.]+$/, ''))
+    .find(url => !/linkedin\.com|github\.com/i.test(url));
+
+  return {
+    linkedin: linkedin ? withScheme(linkedin) : '',
+    github: github ? withScheme(github) : '',
+    portfolio: portfolio ? withScheme(portfolio) : ''
+  };
+};
+
+// Everything recognised in a resume's text
+export const parseResume = (text = '', dictionary = {}) => {
+  const cgpaMatch = CGPA_PATTERN.exec(text);
+  const cgpa = cgpaMatch ? Number(cgpaMatch[1]) : null;
+
+  return {
+    skills: detectSkills(text, dictionary),
+    email: EMAIL_PATTERN.exec(text)?.[0].toLowerCase() || '',
+    phone: findPhone(text),
+    cgpa: cgpa !== null && cgpa <= 10 ? cgpa : null,
+    links: findLinks(text)
+  };
+};
+
+const LINK_LABELS = { linkedin: 'LinkedIn', github: 'GitHub', portfolio: 'Portfolio' };
+
+// Differences between the resume and the profile, one row per field. Skills
+// only list the ones not already on the profile. The email (the login) and
+// CGPA (kept by the placement cell for eligibility checks) are shown for
+// information only.
+export const suggestProfileUpdates = (user, parsed) => {
+  const suggestions = [];
+
+  const have = new Set((user.skills || []).map(normalizeSkill));
+  const newSkills = parsed.skills.filter(({ skill }) => !have.has(skill)).map(({ label }) => label);
+  if (newSkills.length > 0) {
+    suggestions.push({ field: 'skills', label: 'Skills', current: (user.skills || []).join(', '), suggested: newSkills });
+  }
+
+  const digits = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+  if (parsed.phone && digits(parsed.phone) !== digits(user.phone)) {
+    suggestions.push({ field: 'phone', label: 'Phone', current: user.phone || '', suggested: parsed.phone });
+  }
+
+  if (parsed.cgpa !== null && parsed.cgpa !== user.cgpa) {
+    suggestions.push({
+      field: 'cgpa',
+      label: 'CGPA',
+      current: user.cgpa ?? '',
+      suggested: parsed.cgpa,
+      readOnly: true,
+      note: 'Your CGPA is maintained by the placement cell.'
+    });
+  }
+
+  Object.entries(parsed.links).forEach(([key, url]) => {
+    const current = user.links?.[key] || '';
+    if (url && url.replace(/\/$/, '').toLowerCase() !== current.replace(/\/$/, '').toLowerCase()) {
+      suggestions.push({ field: `links.${key}`, label: LINK_LABELS[key], current, suggested: url });
+    }
+  });
+
+  if (parsed.email && parsed.email !== String(user.email || '').toLowerCase()) {
+    suggestions.push({
+      field: 'email',
+      label: 'Email',
+      current: user.email,
+      suggested: parsed.email,
+      readOnly: true,
+      note: 'Your login email is not changed from here.'
+    });
+  }
+
+  return suggestions;
+};
+
+// $set for the suggestions the student accepted. `accepted` lists field
+// names; `skills` the suggested skills they kept.
+export const acceptedUpdates = (user, suggestions, { accepted = [], skills = [] } = {}) => {
+  const fields = [].concat(accepted);
+  const keptSkills = [].concat(skills);
+  const update = {};
+
+  suggestions
+    .filter(suggestion => !suggestion.readOnly && fields.includes(suggestion.field))
+    .forEach(suggestion => {
+      if (suggestion.field === 'skills') {
+        const added = suggestion.suggested.filter(skill => keptSkills.includes(skill));
+        if (added.length > 0) update.skills = [...(user.skills || []), ...added];
+      } else {
+        update[suggestion.field] = suggestion.suggested;
+      }
+    });
+
+  return update;
+};
@@ -0,0 +1,292 @@
+// Bulk student onboarding from a CSV or XLSX roster. planImport() is a dry
+// run that classifies every row; applyImport() carries the plan out. Both
+// compare against the database, so running the same file twice only
+// creates each student once.
+import ExcelJS from 'exceljs';
+import User from '../models/User.js';
+import { queueEmail, processOutbox, siteUrl } from './mailer.js';
+
+export const MAX_ROSTER_ROWS = 5000;
+
+// Set-password links in onboarding emails stay valid this long
+export const SET_PASSWORD_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Accepted spellings of each column header, compared lowercased without
+// spaces, dots or underscores
+const HEADER_ALIASES = {
+  name: ['name', 'studentname', 'fullname'],
+  email: ['email', 'emailid', 'emailaddress', 'mail'],
+  rollNumber: ['rollnumber', 'rollno', 'roll', 'registrationnumber', 'regno'],
+  branch: ['branch', 'department', 'dept'],
+  year: ['year', 'currentyear'],
+  cgpa: ['cgpa', 'gpa']
+};
+
+const FIELDS = Object.keys(HEADER_ALIASES);
+const UPDATABLE_FIELDS = ['name', 'rollNumber', 'branch', 'year', 'cgpa'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[\s._-]/g, '');
+
+const fieldForHeader = (header) => FIELDS.find(field => HEADER_ALIASES[field].includes(normalizeHeader(header)));
+
+// Minimal RFC 4180 reader: quoted fields, escaped quotes and newlines in quotes
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') {
+    // Rich text, hyperlinks and formula results
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return String(value.result);
+  }
+  return String(value);
+};
+
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row) => {
+    const values = row.values.slice(1);
+    rows.push(values.map(cellText));
+  });
+  return rows;
+};
+
+const rosterError = (message) => {
+  const error = new Error(message);
+  error.name = 'RosterFormatError';
+  return error;
+};
+
+// Read an uploaded roster (express-fileupload file) into
+// [{ line, name, email, rollNumber, branch, year, cgpa }] of raw text.
+// Throws a RosterFormatError for unreadable files or missing columns.
+export const parseRoster = async (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  let table;
+  if (extension === 'xlsx') {
+    try {
+      table = await parseXlsx(file.data);
+    } catch (err) {
+      throw rosterError('Could not read the Excel file');
+    }
+  } else if (extension === 'csv') {
+    table = parseCsv(file.data.toString('utf8').replace(/^\uFEFF/, ''));
+  } else {
+    throw rosterError('Upload a .csv or .xlsx file');
+  }
+
+  const [headers = [], ...body] = table;
+  const columns = headers.map(fieldForHeader);
+  const missing = ['name', 'email'].filter(field => !columns.includes(field));
+  if (missing.length > 0) {
+    throw rosterError(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+  }
+
+  const rows = body
+    .map((cells, index) => {
+      const row = { line: index + 2 };
+      FIELDS.forEach(field => { row[field] = ''; });
+      cells.forEach((cell, i) => {
+        if (columns[i]) row[columns[i]] = String(cell).trim();
+      });
+      return row;
+    })
+    .filter(row => FIELDS.some(field => row[field] !== ''));
+
+  if (rows.length > MAX_ROSTER_ROWS) {
+    throw rosterError(`A roster can have at most ${MAX_ROSTER_ROWS} rows`);
+  }
+  return rows;
+};
+
+// Clean values and validation errors for one row
+const validateRow = (row) => {
+  const errors = [];
+  const data = {
+    name: row.name,
+    email: row.email.toLowerCase(),
+    rollNumber: row.rollNumber,
+    branch: row.branch,
+    year: row.year
+  };
+
+  if (!data.name) errors.push('Name is required');
+  if (!data.email) {
+    errors.push('Email is required');
+  } else if (!EMAIL_PATTERN.test(data.email)) {
+    errors.push('Email is not valid');
+  }
+  if (row.cgpa !== '') {
+    const cgpa = Number(row.cgpa);
+    if (isNaN(cgpa) || cgpa < 0 || cgpa > 10) {
+      errors.push('CGPA must be a number between 0 and 10');
+    } else {
+      data.cgpa = cgpa;
+    }
+  }
+  return { data, errors };
+};
+
+// Roll numbers are matched without regard to case
+const comparable = (field, value) => {
+  const text = String(value ?? '');
+  return field === 'rollNumber' ? text.toLowerCase() : text;
+};
+
+// Fields of an existing student the roster would change
+const changedFields = (user, data) => UPDATABLE_FIELDS.filter(field => (
+  data[field] !== undefined && data[field] !== '' && comparable(field, user[field]) !== comparable(field, data[field])
+));
+
+// Dry run. Every row gets an action: create, update, unchanged or error.
+export const planImport = async (rows) => {
+  const checked = rows.map(row => ({ line: row.line, ...validateRow(row) }));
+
+  // Duplicates inside the file: later rows lose
+  const seenEmails = new Map();
+  const seenRolls = new Map();
+  checked.forEach(row => {
+    const { email, rollNumber } = row.data;
+    if (email && seenEmails.has(email)) {
+      row.errors.push(`Duplicate email, first seen on line ${seenEmails.get(email)}`);
+    } else if (email) {
+      seenEmails.set(email, row.line);
+    }
+    const roll = rollNumber.toLowerCase();
+    if (roll && seenRolls.has(roll)) {
+      row.errors.push(`Duplicate roll number, first seen on line ${seenRolls.get(roll)}`);
+    } else if (roll) {
+      seenRolls.set(roll, row.line);
+    }
+  });
+
+  const [byEmail, byRoll] = await Promise.all([
+    // Case-insensitive, since older accounts may use a different case
+    User.find({ email: { $in: [...seenEmails.keys()] } }).collation({ locale: 'en', strength: 2 }),
+    User.find({ role: 'student', rollNumber: { $in: checked.map(row => row.data.rollNumber).filter(Boolean) } })
+      .collation({ locale: 'en', strength: 2 })
+  ]);
+  const emailOwners = new Map(byEmail.map(user => [user.email.toLowerCase(), user]));
+  const rollOwners = new Map(byRoll.map(user => [user.rollNumber.toLowerCase(), user]));
+
+  const planned = checked.map(row => {
+    const { data, errors } = row;
+    const existing = emailOwners.get(data.email);
+    const rollOwner = data.rollNumber ? rollOwners.get(data.rollNumber.toLowerCase()) : null;
+
+    if (existing && existing.role !== 'student') {
+      errors.push(`Email belongs to an existing ${existing.role} account`);
+    } else if (existing && existing.rollNumber && data.rollNumber && existing.rollNumber.toLowerCase() !== data.rollNumber.toLowerCase()) {
+      errors.push(`Email is registered with roll number ${existing.rollNumber}`);
+    }
+    if (rollOwner && (!existing || !rollOwner._id.equals(existing._id))) {
+      errors.push(`Roll number is registered to ${rollOwner.email}`);
+    }
+
+    if (errors.length > 0) return { ...row, action: 'error', changes: [] };
+    if (!existing) return { ...row, action: 'create', changes: [] };
+
+    const changes = changedFields(existing, data);
+    return { ...row, userId: existing._id, action: changes.length > 0 ? 'update' : 'unchanged', changes };
+  });
+
+  const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+  planned.forEach(row => { summary[row.action] += 1; });
+  return { rows: planned, summary };
+};
+
+// Create and update accounts from a plan and email each new student a link
+// to set their password. Returns the counts of what was done.
+export const applyImport = async (plan) => {
+  const result = { created: 0, updated: 0, unchanged: plan.summary.unchanged, skipped: plan.summary.error };
+
+  const updates = plan.rows.filter(row => row.action === 'update');
+  if (updates.length > 0) {
+    const written = await User.bulkWrite(updates.map(row => ({
+      updateOne: {
+        filter: { _id: row.userId },
+        update: { $set: Object.fromEntries(row.changes.map(field => [field, row.data[field]])) }
+      }
+    })));
+    result.updated = written.modifiedCount;
+  }
+
+  const creates = plan.rows.filter(row => row.action === 'create');
+  const tokens = new Map();
+  const users = creates.map(row => {
+    const user = new User({ ...row.data, role: 'student', status: 'active' });
+    tokens.set(user.email, user.issueResetToken(SET_PASSWORD_TTL));
+    return user;
+  });
+
+  let inserted = [];
+  if (users.length > 0) {
+    try {
+      inserted = await User.insertMany(users, { ordered: false });
+    } catch (err) {
+      // An account created meanwhile (e.g. a double submit) hits the unique
+      // email index; everything else was still inserted
+      if (!err.writeErrors || !err.insertedDocs) throw err;
+      inserted = err.insertedDocs;
+      result.skipped += users.length - inserted.length;
+    }
+  }
+  result.created = inserted.length;
+
+  for (const user of inserted) {
+    await queueEmail('set-password', user.email, {
+      name: user.name,
+      setPasswordLink: `${siteUrl()}/auth/reset-password/${tokens.get(user.email)}`
+    }, { deliver: false }).catch(err => console.error('Email Queue Error (set-password):', err));
+  }
+  if (inserted.length > 0) {
+    processOutbox({ limit: inserted.length }).catch(err => console.error('Outbox Error:', err));
+  }
+
+  return result;
+};
@@ -0,0 +1,142 @@
+// Helpers for the structured compensation fields on Job
+
+export const CURRENCY_SYMBOLS = {
+  INR: '₹',
+  USD: '$',
+  EUR: '€',
+  GBP: '£'
+};
+
+const UNIT_MULTIPLIERS = [
+  [/^(cr|crore|crores)$/, 10000000],
+  [/^(l|lpa|lac|lacs|lakh|lakhs)$/, 100000],
+  [/^(k|thousand)$/, 1000]
+];
+
+const hasAmount = (range) => range && (range.min != null || range.max != null);
+
+// Yearly equivalent of an amount paid per period
+const toAnnual = (amount, period) => (amount == null ? undefined : (period === 'monthly' ? amount * 12 : amount));
+
+// Total CTC, falling back to fixed + variable when it was not given explicitly
+export const computeTotal = (compensation = {}) => {
+  if (hasAmount(compensation.total)) return compensation.total;
+  if (!hasAmount(compensation.fixed)) return compensation.total;
+
+  const fixed = compensation.fixed;
+  const variable = compensation.variable || {};
+  const fixedMin = fixed.min != null ? fixed.min : fixed.max;
+  const fixedMax = fixed.max != null ? fixed.max : fixed.min;
+  return {
+    min: fixedMin + (variable.min != null ? variable.min : (variable.max || 0)),
+    max: fixedMax + (variable.max != null ? variable.max : (variable.min || 0))
+  };
+};
+
+// Normalized yearly pay range used for sorting, filtering and statistics.
+// Internships without a CTC fall back to the monthly stipend.
+export const annualize = (compensation = {}) => {
+  const period = compensation.period || 'annual';
+  const total = computeTotal(compensation);
+
+  if (hasAmount(total)) {
+    const min = total.min != null ? total.min : total.max;
+    const max = total.max != null ? total.max : total.min;
+    return { min: toAnnual(min, period), max: toAnnual(max, period) };
+  }
+  if (compensation.stipend != null) {
+    const yearly = compensation.stipend * 12;
+    return { min: yearly, max: yearly };
+  }
+  return { min: undefined, max: undefined };
+};
+
+const formatAmount = (amount, currency) => {
+  if (currency === 'INR') {
+    if (amount >= 10000000) return `${+(amount / 10000000).toFixed(2)} Cr`;
+    if (amount >= 100000) return `${+(amount / 100000).toFixed(2)} L`;
+  }
+  return amount.toLocaleString('en-IN');
+};
+
+const currencySymbol = (currency) => CURRENCY_SYMBOLS[currency] || `${currency} `;
+
+// Single amount with its currency symbol, e.g. "₹6.5 L"
+export const formatMoney = (amount, currency = 'INR') => (
+  amount == null ? '' : `${currencySymbol(currency)}${formatAmount(Math.round(amount), currency)}`
+);
+
+const formatRange = (range, currency) => {
+  const min = range.min != null ? range.min : range.max;
+  const max = range.max != null ? range.max : range.min;
+  if (min === max) return formatMoney(min, currency);
+  return `${formatMoney(min, currency)} - ${formatAmount(max, currency)}`;
+};
+
+// Human readable summary, e.g. "₹6 L - 8 L per annum" or "₹25,000 per month stipend for 6 months"
+export const formatCompensation = (compensation = {}) => {
+  const currency = compensation.currency || 'INR';
+  const parts = [];
+
+  const total = computeTotal(compensation);
+  if (hasAmount(total)) {
+    const per = compensation.period === 'monthly' ? 'per month' : 'per annum';
+    parts.push(`${formatRange(total, currency)} ${per}`);
+  }
+  if (compensation.stipend != null) {
+    let stipend = `${formatMoney(compensation.stipend, currency)} per month stipend`;
+    if (compensation.durationMonths) stipend += ` for ${compensation.durationMonths} months`;
+    parts.push(stipend);
+  }
+
+  return parts.join(', ');
+};
+
+// Best-effort parser for the legacy free-text salary strings such as
+// "₹50000 per month", "10-12 LPA", "Rs. 6,00,000 per annum" or "$90k/yr".
+// Returns null when no amount can be found.
+export const parseSalary = (text, jobType) => {
+  if (!text || typeof text !== 'string') return null;
+  const lower = text.toLowerCase();
+
+  let currency = 'INR';
+  if (/\$|usd/.test(lower)) currency = 'USD';
+  else if (/€|eur/.test(lower)) currency = 'EUR';
+  else if (/£|gbp/.test(lower)) currency = 'GBP';
+
+  const tokens = [];
+  const pattern = /(\d[\d,]*(?:\.\d+)?)\s*(cr|crores?|lpa|lacs?|lakhs?|l|k|thousand)?\b/g;
+  let match;
+  while ((match = pattern.exec(lower)) !== null) {
+    const value = parseFloat(match[1].replace(/,/g, ''));
+    if (!isNaN(value)) tokens.push({ value, unit: match[2] });
+  }
+  if (tokens.length === 0) return null;
+
+  // In "10-12 LPA" the unit only follows the last number
+  for (let i = tokens.length - 2; i >= 0; i--) {
+    if (!tokens[i].unit && tokens[i + 1].unit) tokens[i].unit = tokens[i + 1].unit;
+  }
+
+  const amounts = tokens.slice(0, 2).map(({ value, unit }) => {
+    const multiplier = unit && UNIT_MULTIPLIERS.find(([re]) => re.test(unit));
+    return multiplier ? value * multiplier[1] : value;
+  });
+
+  const min = Math.min(amounts[0], amounts[1] != null ? amounts[1] : amounts[0]);
+  const max = Math.max(amounts[0], amounts[1] != null ? amounts[1] : amounts[0]);
+
+  let period;
+  if (/month|\bpm\b|\/\s*mo|p\.m\./.test(lower)) period = 'monthly';
+  else if (/annum|year|\bpa\b|lpa|\/\s*yr|p\.a\./.test(lower)) period = 'annual';
+  else period = max < 100000 ? 'monthly' : 'annual';
+
+  const compensation = { currency, period };
+  if (jobType === 'Internship' && period === 'monthly') {
+    compensation.stipend = max;
+  } else {
+    compensation.total = { min, max };
+  }
+  compensation.annualized = annualize(compensation);
+  return compensation;
+};
@@ -0,0 +1,83 @@
+// Background tasks shared by every app instance. Each task's next run time
+// lives in MongoDB (models/ScheduledTask.js) and runs are claimed the same way
+// as outbox messages, so a restart does not reset a daily task's clock and
+// two instances never run the same task at once.
+import ScheduledTask from '../models/ScheduledTask.js';
+import Offer from '../models/Offer.js';
+import { cleanupOrphanedResumes } from './resumeLibrary.js';
+import { processJobDeadlines } from './jobDeadlines.js';
+import { publishScheduledJobs } from './jobPublishing.js';
+
+// Task name -> how often it runs and what it does
+export const TASKS = {
+  // Make scheduled jobs visible once their publish time arrives
+  'job-publishing': { interval: 60 * 1000, run: () => publishScheduledJobs() },
+  // Close jobs at their deadline and send the reminders and summaries around it
+  'job-deadlines': { interval: 5 * 60 * 1000, run: () => processJobDeadlines() },
+  // Expire offers that were not answered by their response deadline
+  'offer-expiry': { interval: 15 * 60 * 1000, run: () => Offer.expireOverdue() },
+  // Delete stored resumes that no application, library entry or profile uses
+  'resume-cleanup': { interval: 24 * 60 * 60 * 1000, run: () => cleanupOrphanedResumes() }
+};
+
+// A task locked this long is assumed to belong to a crashed instance
+const STALE_LOCK = 30 * 60 * 1000;
+
+// Create the entries for tasks that have never run; existing schedules are kept
+const ensureTasks = () => Promise.all(Object.keys(TASKS).map(name => ScheduledTask.updateOne(
+  { name },
+  { $setOnInsert: { name, nextRunAt: new Date() } },
+  { upsert: true }
+).catch(err => {
+  // Another instance created it first
+  if (err.code !== 11000) throw err;
+})));
+
+// Claim a task that is due so no other instance runs it at the same time
+const claimTask = (name, now) => ScheduledTask.findOneAndUpdate(
+  {
+    name,
+    nextRunAt: { $lte: now },
+    $or: [
+      { lockedAt: null },
+      { lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK) } }
+    ]
+  },
+  { $set: { lockedAt: now } },
+  { new: true }
+);
+
+// Run every task that is due. Returns the names of the tasks run. A failed
+// run is logged and tried again at the next interval.
+export const runDueTasks = async () => {
+  await ensureTasks();
+  const ran = [];
+
+  for (const [name, task] of Object.entries(TASKS)) {
+    const startedAt = new Date();
+    const claimed = await claimTask(name, startedAt);
+    if (!claimed) continue;
+
+    let lastError;
+    try {
+      await task.run();
+    } catch (err) {
+      console.error(`Scheduled task ${name} failed:`, err);
+      lastError = err.message;
+    }
+
+    await ScheduledTask.updateOne({ _id: claimed._id }, {
+      $set: {
+        lastRunAt: startedAt,
+        lastDuration: Date.now() - startedAt.getTime(),
+        lastError: lastError || '',
+        nextRunAt: new Date(startedAt.getTime() + task.interval)
+      },
+      $unset: { lockedAt: 1 },
+      $inc: { runs: 1 }
+    });
+    ran.push(name);
+  }
+
+  return ran;
+};
@@ -0,0 +1,65 @@
+// Applicant screening for recruiters: a fit score per applicant from the
+// job's required skills and criteria, plus the skill filter, which needs
+// the same alias-aware matching and so runs here rather than in MongoDB.
+import { matchSkills } from './skills.js';
+
+// Share of the score each part carries. Parts a job gives nothing to
+// compare against (no required skills, no criteria) are left out.
+export const SCORE_WEIGHTS = {
+  skills: 60,
+  criteria: 25,
+  cgpa: 15
+};
+
+// Eligibility rules a job sets; checkEligibility() gives one reason per
+// rule a student fails
+const criteriaCount = (criteria = {}) => [
+  criteria.minCGPA != null,
+  criteria.branches?.length > 0,
+  criteria.graduationYears?.length > 0,
+  criteria.maxBacklogs != null,
+  criteria.diversityDrive || criteria.genders?.length > 0
+].filter(Boolean).length;
+
+export const parseSkillList = (text = '') => String(text).split(',').map(skill => skill.trim()).filter(Boolean);
+
+// Fit of a student (User record) for a job, scored 0-100, with the details
+// behind it: { score, matched, missing, eligible, reasons }
+export const scoreApplicant = (job, student) => {
+  const { matched, missing } = matchSkills(student.skills || [], job.skillsRequired || []);
+  const { eligible, reasons } = job.checkEligibility(student);
+  const rules = criteriaCount(job.eligibilityCriteria);
+
+  const parts = [
+    [SCORE_WEIGHTS.skills, matched.length + missing.length > 0 ? matched.length / (matched.length + missing.length) : null],
+    [SCORE_WEIGHTS.criteria, rules > 0 ? (rules - reasons.length) / rules : null],
+    [SCORE_WEIGHTS.cgpa, student.cgpa != null ? Math.min(student.cgpa, 10) / 10 : 0]
+  ].filter(([, value]) => value !== null);
+
+  const weight = parts.reduce((sum, [partWeight]) => sum + partWeight, 0);
+  const score = Math.round(100 * parts.reduce((sum, [partWeight, value]) => sum + partWeight * value, 0) / weight);
+
+  return { score, matched, missing, eligible, reasons };
+};
+
+// Narrow a job's applications (studentId populated) to those whose profile
+// has every skill in filters.skills, and score them. Sorting by score keeps
+// the incoming order among equal scores. Returns { applications, scores }
+// with scores keyed by application id.
+export const screenApplications = (applications, job, filters = {}) => {
+  const wanted = parseSkillList(filters.skills);
+  const kept = applications.filter(application => (
+    wanted.length === 0 ||
+    (application.studentId && matchSkills(application.studentId.skills || [], wanted).missing.length === 0)
+  ));
+
+  const scores = Object.fromEntries(kept.map(application => [
+    application._id.toString(),
+    scoreApplicant(job, application.studentId || {})
+  ]));
+
+  if (filters.sort === 'score') {
+    kept.sort((a, b) => scores[b._id.toString()].score - scores[a._id.toString()].score);
+  }
+  return { applications: kept, scores };
+};
@@ -0,0 +1,145 @@
+// Skill name normalization shared by recommendations and applicant screening
+
+// Canonical skill name -> other spellings students and recruiters use
+export const SKILL_ALIASES = {
+  'javascript': ['js', 'java script', 'ecmascript', 'es6'],
+  'typescript': ['ts'],
+  'python': ['py', 'python3'],
+  'java': ['core java', 'java se'],
+  'c++': ['cpp', 'cplusplus', 'c plus plus'],
+  'c#': ['csharp', 'c sharp'],
+  'go': ['golang'],
+  'node.js': ['node', 'nodejs', 'node js'],
+  'express': ['expressjs', 'express.js'],
+  'react': ['reactjs', 'react.js', 'react js'],
+  'react native': ['react-native'],
+  'angular': ['angularjs', 'angular.js'],
+  'vue': ['vuejs', 'vue.js'],
+  'next.js': ['nextjs'],
+  'html': ['html5'],
+  'css': ['css3'],
+  'sql': ['structured query language'],
+  'mysql': ['my sql'],
+  'postgresql': ['postgres', 'psql'],
+  'mongodb': ['mongo', 'mongo db'],
+  'aws': ['amazon web services'],
+  'gcp': ['google cloud', 'google cloud platform'],
+  'azure': ['microsoft azure'],
+  'kubernetes': ['k8s'],
+  'git': ['github'],
+  'machine learning': ['ml'],
+  'deep learning': ['dl'],
+  'artificial intelligence': ['ai'],
+  'natural language processing': ['nlp'],
+  'computer vision': ['opencv'],
+  'data structures and algorithms': ['dsa', 'data structures', 'algorithms'],
+  'object oriented programming': ['oop', 'oops'],
+  'rest api': ['rest', 'restful', 'restful api', 'rest apis'],
+  'power bi': ['powerbi'],
+  'excel': ['ms excel', 'microsoft excel'],
+  'tensorflow': ['tf'],
+  'scikit-learn': ['sklearn', 'scikit learn'],
+  'spring boot': ['springboot'],
+  'linux': ['unix']
+};
+
+// Reverse lookup from any spelling to its canonical name
+const ALIAS_LOOKUP = Object.entries(SKILL_ALIASES).reduce((acc, [canonical, aliases]) => {
+  acc[canonical] = canonical;
+  aliases.forEach(alias => { acc[alias] = canonical; });
+  return acc;
+}, {});
+
+// Canonical lowercase form of a skill, e.g. "JS" -> "javascript"
+export const normalizeSkill = (skill) => {
+  const cleaned = String(skill || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,.;:]+|[\s,;:]+$/g, '')
+    .trim();
+  return ALIAS_LOOKUP[cleaned] || cleaned;
+};
+
+// Compare a candidate's skills against a required list.
+// Returns the required skills (as written on the job) split into matched and missing.
+export const matchSkills = (candidateSkills = [], requiredSkills = []) => {
+  const have = new Set(candidateSkills.map(normalizeSkill).filter(Boolean));
+  const matched = [];
+  const missing = [];
+
+  requiredSkills.filter(Boolean).forEach(skill => {
+    (have.has(normalizeSkill(skill)) ? matched : missing).push(skill);
+  });
+
+  return { matched, missing };
+};
+
+// Further skills looked for in resumes, beyond SKILL_ALIASES
+export const KNOWN_SKILLS = [
+  'c', 'r', 'kotlin', 'swift', 'dart', 'flutter', 'rust', 'php', 'ruby', 'scala', 'matlab',
+  'django', 'flask', 'fastapi', 'laravel', 'redux', 'bootstrap', 'tailwind', 'jquery', 'graphql',
+  'docker', 'jenkins', 'terraform', 'firebase', 'redis', 'kafka', 'hadoop', 'spark', 'oracle',
+  'pandas', 'numpy', 'pytorch', 'keras', 'tableau', 'figma', 'selenium', 'jira', 'android', 'ios',
+  'blockchain', 'solidity', 'cybersecurity', 'devops', 'ci/cd', 'microservices', 'system design'
+];
+
+// Short or everyday words that only count as skills when written exactly so
+const EXACT_CASE = {
+  'c': 'C',
+  'r': 'R',
+  'go': 'Go',
+  'ai': 'AI',
+  'ml': 'ML',
+  'dl': 'DL',
+  'ts': 'TS',
+  'tf': 'TF',
+  'py': 'Py',
+  'rest': 'REST',
+  'ios': 'iOS',
+  'express': 'Express'
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Skills mentioned in free text such as a resume, by canonical name, with
+// the spelling first used in the text. `extra` adds { skill: [aliases] }
+// entries, e.g. the admin-maintained dictionary.
+export const detectSkills = (text, extra = {}) => {
+  const dictionary = { ...SKILL_ALIASES };
+  KNOWN_SKILLS.forEach(skill => { dictionary[skill] = dictionary[skill] || []; });
+  Object.entries(extra).forEach(([skill, aliases]) => {
+    const canonical = normalizeSkill(skill);
+    dictionary[canonical] = [...(dictionary[canonical] || []), ...aliases.map(alias => alias.toLowerCase())];
+  });
+
+  const found = new Map();
+  Object.entries(dictionary).forEach(([canonical, aliases]) => {
+    for (const term of [canonical, ...aliases]) {
+      const exact = EXACT_CASE[term];
+      // Letters, digits and + # . around a term mean it is part of a longer word
+      const pattern = new RegExp(`(?<![\\w+#.])${escapeRegex(exact || term)}(?![\\w+#]|\\.\\w)`, exact ? '' : 'i');
+      const match = pattern.exec(text);
+      if (match) {
+        found.set(canonical, match[0]);
+        break;
+      }
+    }
+  });
+
+  return [...found].map(([skill, label]) => ({ skill, label }));
+};
+
+// Admin-maintained dictionary from text, one skill per line with optional
+// aliases after a colon: "Spring MVC: spring-mvc, springmvc"
+export const parseSkillDictionary = (text = '') => String(text)
+  .split(/\r?\n/)
+  .map(line => line.split(':'))
+  .filter(([skill]) => skill && skill.trim())
+  .reduce((acc, [skill, aliases = '']) => {
+    acc[skill.trim()] = aliases.split(',').map(alias => alias.trim()).filter(Boolean);
+    return acc;
+  }, {});
+
+export const formatSkillDictionary = (dictionary = {}) => Object.entries(dictionary)
+  .map(([skill, aliases]) => (aliases.length > 0 ? `${skill}: ${aliases.join(', ')}` : skill))
+  .join('\n');